@@ -18,11 +18,31 @@ const router = createRouter({
       name: 'collections',
       component: () => import('@/views/CollectionsView.vue'),
     },
+    {
+      path: '/pantry',
+      name: 'pantry',
+      component: () => import('@/views/PantryView.vue'),
+    },
+    {
+      path: '/recipes',
+      name: 'recipes',
+      component: () => import('@/views/RecipesView.vue'),
+    },
+    {
+      path: '/meals',
+      name: 'meals',
+      component: () => import('@/views/MealsView.vue'),
+    },
     {
       path: '/settings',
       name: 'settings',
       component: () => import('@/views/SettingsView.vue'),
     },
+    {
+      path: '/virtual-printer',
+      name: 'virtual-printer',
+      component: () => import('@/views/VirtualPrinterView.vue'),
+    },
     {
       path: '/logs',
       name: 'logs',
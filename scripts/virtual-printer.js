@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Standalone virtual ESC/POS printer: prints received tickets to the console.
+// Tickets are kept in memory only, so this never writes the db a running
+// server uses (enable "Testdrucker" in the UI to see tickets there instead).
+// Usage: node scripts/virtual-printer.js [port]
+const config = require('../src/config');
+const { startVirtualPrinter } = require('../src/virtualPrinter');
+
+const port = Number(process.argv[2]) || config.virtualPrinterPort || 9101;
+
+const jobs = new Map();
+
+function save({ remote, bytes, paperWidth, text }) {
+  const job = { id: String(jobs.size + 1), remote, size: bytes.length, paperWidth, text };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function log(level, msg, extra) {
+  console.log(`[${level.toUpperCase()}] ${msg}`);
+  const job = extra && jobs.get(extra.id);
+  if (job) console.log(`${job.text}\n`);
+}
+
+startVirtualPrinter({ port, log, save })
+  .then(() => console.log(`Point a printer at 127.0.0.1:${port} (Ctrl+C to stop)`))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -9,29 +9,40 @@
 
 const http = require('http');
 const https = require('https');
+const { getPrinterProfile } = require('./printer');
 
 // Default system prompts for different summary types
+// {maxChars} is replaced with the paper width of the active printer profile
 const PROMPTS = {
   dailySummary: `Du bist ein hilfreicher Assistent der Tages-Zusammenfassungen schreibt.
 Schreibe eine kurze, freundliche Zusammenfassung des Tages basierend auf den Terminen und Aufgaben.
 Halte es kurz (max 3-4 Sätze) und erwähne die wichtigsten Termine.
 Schreibe auf Deutsch. Sei motivierend aber nicht übertrieben.
-Formatiere für einen Thermodrucker (max 32 Zeichen pro Zeile, keine Emojis).`,
+Formatiere für einen Thermodrucker (max {maxChars} Zeichen pro Zeile, keine Emojis).`,
 
   weeklySummary: `Du bist ein hilfreicher Assistent der Wochen-Zusammenfassungen schreibt.
 Schreibe eine kurze Übersicht der Woche basierend auf den Terminen und Aufgaben.
 Erwähne wichtige Tage und größere Ereignisse.
 Halte es kurz (max 5-6 Sätze).
 Schreibe auf Deutsch.
-Formatiere für einen Thermodrucker (max 32 Zeichen pro Zeile, keine Emojis).`,
+Formatiere für einen Thermodrucker (max {maxChars} Zeichen pro Zeile, keine Emojis).`,
 
   morningGreeting: `Du bist ein freundlicher Morgen-Assistent.
 Schreibe eine kurze, motivierende Begrüßung für den Tag.
 Erwähne kurz was heute ansteht basierend auf den gegebenen Informationen.
 Maximal 2-3 Sätze. Auf Deutsch.
-Formatiere für einen Thermodrucker (max 32 Zeichen pro Zeile, keine Emojis).`
+Formatiere für einen Thermodrucker (max {maxChars} Zeichen pro Zeile, keine Emojis).`
 };
 
+/**
+ * Get a system prompt with the line width filled in
+ * @param {string} name - Key in PROMPTS
+ * @param {number} maxChars - Characters per printed line
+ */
+function getPrompt(name, maxChars) {
+  return PROMPTS[name].replace('{maxChars}', String(maxChars));
+}
+
 /**
  * Call Ollama API to generate text
  * @param {Object} config - Configuration with ollamaUrl and ollamaModel
@@ -136,9 +147,10 @@ async function checkOllamaStatus(config) {
  * @param {Object} config - App configuration
  * @param {Array} events - Calendar events for today
  * @param {Array} tasks - Tasks for today
+ * @param {number} [maxChars] - Line width, defaults to the configured printer profile
  * @returns {Promise<string>} Daily summary text
  */
-async function generateDailySummary(config, events = [], tasks = []) {
+async function generateDailySummary(config, events = [], tasks = [], maxChars = getPrinterProfile(config.printerProfile).paperWidth) {
   if (!config.ollamaEnabled) {
     return null;
   }
@@ -175,8 +187,8 @@ async function generateDailySummary(config, events = [], tasks = []) {
   }
   
   try {
-    const summary = await callOllama(config, PROMPTS.dailySummary, context);
-    return wrapTextForPrinter(summary, 32);
+    const summary = await callOllama(config, getPrompt('dailySummary', maxChars), context);
+    return wrapTextForPrinter(summary, maxChars);
   } catch (err) {
     console.error('AI summary failed:', err.message);
     return null;
@@ -186,7 +198,7 @@ async function generateDailySummary(config, events = [], tasks = []) {
 /**
  * Generate a weekly summary
  */
-async function generateWeeklySummary(config, events = [], tasks = []) {
+async function generateWeeklySummary(config, events = [], tasks = [], maxChars = getPrinterProfile(config.printerProfile).paperWidth) {
   if (!config.ollamaEnabled) {
     return null;
   }
@@ -226,8 +238,8 @@ async function generateWeeklySummary(config, events = [], tasks = []) {
   }
   
   try {
-    const summary = await callOllama(config, PROMPTS.weeklySummary, context);
-    return wrapTextForPrinter(summary, 32);
+    const summary = await callOllama(config, getPrompt('weeklySummary', maxChars), context);
+    return wrapTextForPrinter(summary, maxChars);
   } catch (err) {
     console.error('AI weekly summary failed:', err.message);
     return null;
@@ -237,7 +249,7 @@ async function generateWeeklySummary(config, events = [], tasks = []) {
 /**
  * Generate a morning greeting
  */
-async function generateMorningGreeting(config, events = [], tasks = []) {
+async function generateMorningGreeting(config, events = [], tasks = [], maxChars = getPrinterProfile(config.printerProfile).paperWidth) {
   if (!config.ollamaEnabled) {
     return null;
   }
@@ -252,8 +264,8 @@ async function generateMorningGreeting(config, events = [], tasks = []) {
   }
   
   try {
-    const greeting = await callOllama(config, PROMPTS.morningGreeting, context);
-    return wrapTextForPrinter(greeting, 32);
+    const greeting = await callOllama(config, getPrompt('morningGreeting', maxChars), context);
+    return wrapTextForPrinter(greeting, maxChars);
   } catch (err) {
     console.error('AI greeting failed:', err.message);
     return null;
@@ -299,6 +311,7 @@ module.exports = {
   generateWeeklySummary,
   generateMorningGreeting,
   wrapTextForPrinter,
+  getPrompt,
   PROMPTS
 };
 
@@ -0,0 +1,195 @@
+/**
+ * ESC/POS character code tables (ESC t n) and a text encoder.
+ * Text is encoded in the printer's default table; characters it lacks are
+ * taken from another table the printer supports (switching with ESC t
+ * mid-line), and anything no table has is transliterated (é -> e, € -> EUR).
+ */
+
+const ESC = 0x1b;
+
+// Upper halves (0x80-0xFF) of the supported tables, keyed by ESC t number.
+// The lower half is ASCII in all of them. Generated from Python's codecs.
+const CODE_PAGES = {
+  0: {
+    name: 'PC437 (USA, Standard Europe)',
+    // 0x80-0xFF
+    chars:
+      'ÇüéâäàåçêëèïîìÄÅ' +
+      'ÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+      'áíóúñÑªº¿⌐¬½¼¡«»' +
+      '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+      '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+      '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+      'αßΓπΣσµτΦΘΩδ∞φε∩' +
+      '≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0'
+  },
+  2: {
+    name: 'PC850 (Multilingual Latin 1)',
+    // 0x80-0xFF
+    chars:
+      'ÇüéâäàåçêëèïîìÄÅ' +
+      'ÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+      'áíóúñÑªº¿®¬½¼¡«»' +
+      '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+      '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤' +
+      'ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+      'ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+      '\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0'
+  },
+  16: {
+    name: 'WPC1252 (Windows Latin 1)',
+    // 0x80-0xFF
+    chars:
+      '€\ufffd‚ƒ„…†‡ˆ‰Š‹Œ\ufffdŽ\ufffd' +
+      '\ufffd‘’“”•–—˜™š›œ\ufffdžŸ' +
+      '\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯' +
+      '°±²³´µ¶·¸¹º»¼½¾¿' +
+      'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏ' +
+      'ÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞß' +
+      'àáâãäåæçèéêëìíîï' +
+      'ðñòóôõö÷øùúûüýþÿ'
+  },
+  17: {
+    name: 'PC866 (Cyrillic #2)',
+    // 0x80-0xFF
+    chars:
+      'АБВГДЕЖЗИЙКЛМНОП' +
+      'РСТУФХЦЧШЩЪЫЬЭЮЯ' +
+      'абвгдежзийклмноп' +
+      '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+      '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+      '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+      'рстуфхцчшщъыьэюя' +
+      'ЁёЄєЇїЎў°∙·√№¤■\u00a0'
+  },
+  18: {
+    name: 'PC852 (Latin 2)',
+    // 0x80-0xFF
+    chars:
+      'ÇüéâäůćçłëŐőîŹÄĆ' +
+      'ÉĹĺôöĽľŚśÖÜŤťŁ×č' +
+      'áíóúĄąŽžĘę¬źČş«»' +
+      '░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐' +
+      '└┴┬├─┼Ăă╚╔╩╦╠═╬¤' +
+      'đĐĎËďŇÍÎě┘┌█▄ŢŮ▀' +
+      'ÓßÔŃńňŠšŔÚŕŰýÝţ´' +
+      '\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0'
+  },
+  19: {
+    name: 'PC858 (Latin 1 + Euro)',
+    // 0x80-0xFF
+    chars:
+      'ÇüéâäàåçêëèïîìÄÅ' +
+      'ÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+      'áíóúñÑªº¿®¬½¼¡«»' +
+      '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+      '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤' +
+      'ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀' +
+      'ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+      '\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0'
+  }
+};
+
+// Fallbacks for characters that no enabled table contains
+const TRANSLITERATIONS = {
+  '€': 'EUR', '‚': ',', '„': '"', '“': '"', '”': '"', '″': '"', '‘': "'", '’': "'", '′': "'",
+  '‹': '<', '›': '>', '«': '<<', '»': '>>', '…': '...', '‐': '-', '–': '-', '—': '-', '―': '-',
+  '•': '*', '·': '.', '™': '(TM)', '©': '(c)', '®': '(R)', '×': 'x', '÷': '/', '→': '->', '←': '<-',
+  '½': '1/2', '¼': '1/4', '¾': '3/4', '°': 'o', '\u00a0': ' ', '\u00ad': '',
+  'ß': 'ss', 'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'Ø': 'O', 'ø': 'o', 'Ł': 'L', 'ł': 'l',
+  'Đ': 'D', 'đ': 'd', 'Þ': 'Th', 'þ': 'th', 'Ð': 'D', 'ð': 'd', 'ı': 'i',
+  // Cyrillic (for printers without PC866)
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z',
+  'и': 'i', 'й': 'j', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+  'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h', 'ц': 'c', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+  'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi'
+};
+
+const reverseMaps = {};
+
+// char -> byte for a table (built on first use)
+function reverseMap(page) {
+  if (!reverseMaps[page]) {
+    const map = new Map();
+    [...CODE_PAGES[page].chars].forEach((ch, i) => {
+      if (ch !== '\ufffd' && !map.has(ch)) map.set(ch, 0x80 + i);
+    });
+    reverseMaps[page] = map;
+  }
+  return reverseMaps[page];
+}
+
+function byteFor(page, ch) {
+  if (!CODE_PAGES[page]) return undefined;
+  return reverseMap(page).get(ch);
+}
+
+/**
+ * Printable replacement for a character: explicit table, then the
+ * character without accents (NFKD), else '?'.
+ */
+function transliterate(ch) {
+  if (TRANSLITERATIONS[ch] !== undefined) return TRANSLITERATIONS[ch];
+  const lower = ch.toLowerCase();
+  if (lower !== ch && TRANSLITERATIONS[lower]) {
+    const t = TRANSLITERATIONS[lower];
+    return t.charAt(0).toUpperCase() + t.slice(1);
+  }
+  const stripped = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  if (stripped && stripped !== ch) return stripped;
+  return '?';
+}
+
+/**
+ * Encode text for the printer.
+ * Assumes the default table (codePage) is active - init() selects it - and
+ * switches back to it at the end if another table was needed.
+ * @param {string} str - Text to print
+ * @param {Object} profile - { codePage, codePages } default table and all tables the printer supports
+ * @returns {Buffer}
+ */
+function encodeText(str, { codePage = 16, codePages = [] } = {}) {
+  const pages = [codePage, ...codePages.filter(p => p !== codePage && CODE_PAGES[p])];
+  const out = [];
+  let current = codePage;
+
+  const emit = (ch, allowTransliteration) => {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x80) {
+      out.push(cp);
+      return;
+    }
+    const inCurrent = byteFor(current, ch);
+    if (inCurrent !== undefined) {
+      out.push(inCurrent);
+      return;
+    }
+    const page = pages.find(p => byteFor(p, ch) !== undefined);
+    if (page !== undefined) {
+      out.push(ESC, 0x74, page, byteFor(page, ch));
+      current = page;
+      return;
+    }
+    if (allowTransliteration) {
+      for (const c of transliterate(ch)) emit(c, false);
+      return;
+    }
+    out.push(0x3f); // ?
+  };
+
+  for (const ch of str) emit(ch, true);
+  if (current !== codePage) out.push(ESC, 0x74, codePage);
+  return Buffer.from(out);
+}
+
+// Bytes printed in a table -> string (used by the preview)
+function decodeBytes(bytes, page) {
+  const table = CODE_PAGES[page] || CODE_PAGES[0];
+  let str = '';
+  for (const b of bytes) {
+    str += b < 0x80 ? String.fromCharCode(b) : table.chars[b - 0x80];
+  }
+  return str;
+}
+
+module.exports = { CODE_PAGES, encodeText, decodeBytes, transliterate };
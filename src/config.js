@@ -165,6 +165,9 @@ function validateConfig() {
   if (cfg.weeklyPrintTime && !timeRegex.test(cfg.weeklyPrintTime)) {
     warnings.push(`Weekly print time "${cfg.weeklyPrintTime}" is not valid (use HH:MM format)`);
   }
+  if (cfg.eveningPrintTime && !timeRegex.test(cfg.eveningPrintTime)) {
+    warnings.push(`Evening print time "${cfg.eveningPrintTime}" is not valid (use HH:MM format)`);
+  }
 
   // Print warnings (don't exit - let user fix via UI)
   warnings.forEach((w) => console.warn(`[CONFIG WARNING] ${w}`));
@@ -7,6 +7,10 @@ const path = require('path');
 
 const DB_PATH = path.join(__dirname, '..', 'data', 'db.json');
 const MAX_LOG_ENTRIES = 200;
+const MAX_FINISHED_PRINT_JOBS = 100;
+const MAX_VIRTUAL_PRINT_JOBS = 50;
+const TASK_LINK_MAX_AGE_DAYS = 30;
+const MAX_SHOPPING_TRIPS = 200;
 
 // Predefined unit types for shopping items
 const UNIT_TYPES = {
@@ -26,6 +30,26 @@ const UNIT_TYPES = {
   l: { name: 'Liter', short: 'L', isWeight: false, isVolume: true, base: 'ml', factor: 1000 }
 };
 
+// Meal slots of a day in the meal plan
+const MEAL_SLOTS = {
+  breakfast: 'Frühstück',
+  lunch: 'Mittagessen',
+  dinner: 'Abendessen'
+};
+
+// Print job types that can be routed to a specific printer
+const PRINT_JOB_TYPES = {
+  morning: 'Morgendruck (Einzelzettel)',
+  daily: 'Tageszusammenfassung / Briefing',
+  weekly: 'Wochenplan',
+  shopping: 'Einkaufsliste',
+  label: 'Regaletiketten',
+  recipe: 'Rezeptkarten',
+  evening: 'Abendbericht (offene Aufgaben)',
+  wifi: 'WLAN QR-Code',
+  test: 'Testdruck'
+};
+
 function ensureDir() {
   const dir = path.dirname(DB_PATH);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -43,11 +67,43 @@ function getDefaultConfig() {
     // Printer settings
     printerIp: '',
     printerPort: 9100,
+    printerProfile: '58mm', // See PRINTER_PROFILES in printer.js (paper width, code page, cut, QR)
+    printerRoutes: {},      // job type -> printer id (missing/empty = default printer above)
+    virtualPrinterEnabled: false, // Built-in fake ESC/POS printer for testing without hardware
+    virtualPrinterPort: 9101,
+    // Images per ticket type (see getTicketImages in printer.js, names from images.js)
+    ticketImages: {
+      single: { logo: '', priorityIcon: true, labelIcons: true },
+      daily: { logo: '' },
+      briefing: { logo: 'calendar-days' },
+      weekly: { logo: 'calendar-days' },
+      wifi: { logo: '' },
+      shopping: { logo: '' },
+      label: { logo: '' },
+      recipe: { logo: '' },
+      evening: { logo: '' }
+    },
+    labelIcons: {},         // label name -> image name (e.g. { "Termin": "calendar-check" })
     
     // Schedule settings
     dailyPrintTime: '08:00',
     weeklyPrintTime: '08:00',
     weeklyPrintDay: 0, // 0=Sunday
+    printDailyBriefing: true, // Tagesbriefing (agenda + AI summary + tasks) in the morning run
+    taskCompletionMode: 'auto', // 'auto' = printed tasks are marked done in Donotick right away,
+                                // 'track' = they stay open until completed (dashboard, ticket QR)
+    eveningCheck: 'report',     // Track mode, for tasks still open in the evening:
+                                // 'off' | 'report' (one ticket listing them) | 'reprint' (their tickets again)
+    eveningPrintTime: '20:00',
+    morningGrouping: 'none',    // 'none' = all tasks in one run, 'member' = one bundle per household member (name banner first)
+    
+    // Shopping list sections in the order we walk through the supermarket
+    // (default order; stores can define their own, see shopping.stores)
+    shoppingStoreId: '',    // Store picked last (used when a print doesn't name one)
+    shoppingSections: [
+      'Obst & Gemüse', 'Brot & Backwaren', 'Kühlregal', 'Fleisch & Wurst', 'Tiefkühl',
+      'Vorrat', 'Süßes & Snacks', 'Getränke', 'Drogerie & Haushalt'
+    ],
     
     // Trash calendar
     trashIcalUrl: '',
@@ -61,6 +117,8 @@ function getDefaultConfig() {
     
     // Server
     serverPort: 3000,
+    publicBaseUrl: '',     // URL phones reach the hub at (e.g. http://192.168.1.20:3000), for the QR on task tickets
+    ticketSecret: '',      // Signs the task ticket QR links (generated on first use, never sent to the UI)
     logLevel: 'info',
     
     // Development mode - disables task creation and auto-prints
@@ -73,7 +131,8 @@ function getDefaultDb() {
     // Configuration (editable via UI)
     config: getDefaultConfig(),
     
-    // Daily printed tasks (resets each day)
+    // Daily printed tasks (resets each day), with completedAt/completedBy
+    // ('auto' | 'dashboard' | 'qr' | 'donotick') once done
     daily: {
       date: null,
       tasks: []
@@ -87,12 +146,36 @@ function getDefaultDb() {
         events: []
       }
     },
+    // Additional printers { id, name, host, port, profile, createdAt }
+    // (the default printer is printerIp/printerPort/printerProfile in config)
+    printers: [],
+    // Household members { id, name, donotickUserId, morning, createdAt } (tasks assigned to
+    // donotickUserId belong to the member, morning: false leaves their tasks out of the morning run)
+    members: [],
+    // Print queue { id, type, label, printerId, host, port, payload (base64), status,
+    //   attempts, lastError, nextAttemptAt, createdAt, updatedAt, printedAt }
+    printJobs: [],
+    // Tickets received by the virtual printer { id, receivedAt, remote, size, paperWidth, bytes (base64), text }
+    virtualPrintJobs: [],
     // Shopping list
     shopping: {
-      items: [],        // All items in storage { id, name, unit, usageCount, alwaysOnList, alwaysQuantity, createdAt }
-      list: [],         // Current shopping list { itemId, quantity, addedAt }
-      collections: []   // Saved presets { id, name, items: [{ itemId, quantity }], createdAt }
+      items: [],        // All items in storage { id, name, unit, displayUnit, section, barcode, usageCount, alwaysOnList, alwaysQuantity,
+                        //   stock, minStock, expiresAt, createdAt } (stock/minStock in the item's unit, expiresAt 'YYYY-MM-DD')
+      list: [],         // Current shopping list { itemId | collectionId, quantity, unit?, extra?, checked?, addedAt } (unit defaults to the item's unit, extra: [{ quantity, unit }] in units that don't convert)
+      collections: [],  // Saved presets { id, name, items: [{ itemId, quantity, unit? }], createdAt }
+      stores: [],       // Stores with their walking order { id, name, sections: [section name], createdAt }
+      trips: []         // Finished shopping trips { id, date, storeId, storeName, items: [{ itemId, name, quantity, unit }] }
     },
+    // Recipes { id, name, servings, ingredients: [{ itemId, quantity, unit? }], instructions, usageCount, createdAt }
+    // (ingredients are shopping items, quantities are for `servings` portions)
+    recipes: [],
+    // Meal plan { id, date: 'YYYY-MM-DD', slot: breakfast|lunch|dinner, recipeId | text, servings?, createdAt }
+    // (one entry per date and slot, servings default to the recipe's own)
+    meals: [],
+    // Scan-to-complete links of printed task tickets { id, taskId, title, due, createdAt, usedAt, usedBy }
+    // (due: the printed occurrence; usedBy: 'qr' | 'dashboard' | 'auto' | 'donotick' | 'skipped' | 'deleted',
+    // a link completes its task once)
+    taskLinks: [],
     // Activity log
     logs: []
   };
@@ -114,11 +197,20 @@ function loadDb() {
         created: data.trash?.created || {},
         cache: data.trash?.cache || { fetchedAt: 0, events: [] }
       },
+      printers: data.printers || [],
+      members: data.members || [],
+      printJobs: data.printJobs || [],
+      virtualPrintJobs: data.virtualPrintJobs || [],
       shopping: {
         items: data.shopping?.items || [],
         list: data.shopping?.list || [],
-        collections: data.shopping?.collections || []
+        collections: data.shopping?.collections || [],
+        stores: data.shopping?.stores || [],
+        trips: data.shopping?.trips || []
       },
+      recipes: data.recipes || [],
+      meals: data.meals || [],
+      taskLinks: data.taskLinks || [],
       logs: data.logs || []
     };
   } catch {
@@ -175,7 +267,10 @@ function recordMorningTasks(tasks) {
       labels: t.labels || [],
       priority: t.priority,
       recurrence: t.recurrence,
-      printedAt: new Date().toISOString()
+      assignee: t.assignee || null,
+      printedAt: new Date().toISOString(),
+      completedAt: null,
+      completedBy: null
     }))
   };
   saveDb(db);
@@ -190,6 +285,18 @@ function getMorningTasks() {
   return db.daily.tasks || [];
 }
 
+// Mark a task printed this morning as done (no-op for other tasks)
+function markMorningTaskDone(id, completedBy) {
+  const db = loadDb();
+  if (db.daily.date !== todayStr()) return null;
+  const task = (db.daily.tasks || []).find(t => String(t.id) === String(id));
+  if (!task || task.completedAt) return task || null;
+  task.completedAt = new Date().toISOString();
+  task.completedBy = completedBy;
+  saveDb(db);
+  return task;
+}
+
 function clearMorningTasks() {
   const db = loadDb();
   db.daily = { date: null, tasks: [] };
@@ -234,6 +341,76 @@ function saveTrashCache(cache) {
   saveDb(db);
 }
 
+// ============ Task Links ============
+
+// Record the QR link of a printed task ticket (signing is done in taskLinks.js)
+function addTaskLink(taskId, title = '', due = null) {
+  const db = loadDb();
+  const link = {
+    id: generateId(),
+    taskId: String(taskId),
+    title,
+    due: due || null, // Due date of the printed occurrence (recurring chores move on)
+    createdAt: new Date().toISOString(),
+    usedAt: null,
+    usedBy: null
+  };
+  const cutoff = Date.now() - TASK_LINK_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  db.taskLinks = db.taskLinks.filter(l => new Date(l.createdAt).getTime() >= cutoff);
+  db.taskLinks.push(link);
+  saveDb(db);
+  return link;
+}
+
+function getTaskLink(id) {
+  const db = loadDb();
+  return db.taskLinks.find(l => l.id === id) || null;
+}
+
+/**
+ * Mark a link as used, unless it already is.
+ * @returns {Object|null} The link, or null if unknown or already used
+ */
+function claimTaskLink(id, usedBy) {
+  const db = loadDb();
+  const link = db.taskLinks.find(l => l.id === id);
+  if (!link || link.usedAt) return null;
+  link.usedAt = new Date().toISOString();
+  link.usedBy = usedBy;
+  saveDb(db);
+  return link;
+}
+
+/**
+ * Mark all open links of a task as used (the task got completed, so every
+ * ticket printed for it is done).
+ * @param {string} usedBy - 'qr' | 'dashboard' | 'auto' | 'donotick' (done in Donotick itself),
+ *   'skipped' | 'deleted' (occurrence skipped or chore deleted from the dashboard)
+ * @returns {number} Links closed
+ */
+function closeTaskLinks(taskId, usedBy) {
+  const db = loadDb();
+  const now = new Date().toISOString();
+  const open = db.taskLinks.filter(l => l.taskId === String(taskId) && !l.usedAt);
+  open.forEach((l) => {
+    l.usedAt = now;
+    l.usedBy = usedBy;
+  });
+  if (open.length) saveDb(db);
+  return open.length;
+}
+
+// Open a link again (completing the task failed after it was claimed)
+function reopenTaskLink(id) {
+  const db = loadDb();
+  const link = db.taskLinks.find(l => l.id === id);
+  if (!link) return null;
+  link.usedAt = null;
+  link.usedBy = null;
+  saveDb(db);
+  return link;
+}
+
 // ============ Activity Logs ============
 
 function addLog(level, message, extra = null) {
@@ -264,12 +441,235 @@ function clearLogs() {
   saveDb(db);
 }
 
-// ============ Shopping List ============
-
 function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).slice(2, 9);
 }
 
+// ============ Printers ============
+
+// The printer configured in Settings (printerIp/printerPort/printerProfile)
+function getDefaultPrinter() {
+  const config = getConfig();
+  return {
+    id: 'default',
+    name: 'Standard',
+    host: config.printerIp,
+    port: Number(config.printerPort) || 9100,
+    profile: config.printerProfile,
+    isDefault: true
+  };
+}
+
+function getPrinters() {
+  const db = loadDb();
+  return db.printers || [];
+}
+
+function getPrinter(id) {
+  if (id === 'default') return getDefaultPrinter();
+  return getPrinters().find(p => p.id === id) || null;
+}
+
+function addPrinter({ name, host, port = 9100, profile = '58mm' }) {
+  const db = loadDb();
+  const printer = {
+    id: generateId(),
+    name: name.trim(),
+    host: host.trim(),
+    port: Number(port) || 9100,
+    profile,
+    createdAt: new Date().toISOString()
+  };
+  db.printers.push(printer);
+  saveDb(db);
+  return printer;
+}
+
+function updatePrinter(id, updates) {
+  const db = loadDb();
+  const idx = db.printers.findIndex(p => p.id === id);
+  if (idx === -1) return null;
+  const printer = db.printers[idx];
+  if (updates.name !== undefined) printer.name = String(updates.name).trim();
+  if (updates.host !== undefined) printer.host = String(updates.host).trim();
+  if (updates.port !== undefined) printer.port = Number(updates.port) || 9100;
+  if (updates.profile !== undefined) printer.profile = updates.profile;
+  saveDb(db);
+  return db.printers[idx];
+}
+
+// Delete a printer (jobs routed to it fall back to the default printer)
+function deletePrinter(id) {
+  const db = loadDb();
+  db.printers = db.printers.filter(p => p.id !== id);
+  const routes = { ...(db.config.printerRoutes || {}) };
+  Object.keys(routes).forEach(job => {
+    if (routes[job] === id) delete routes[job];
+  });
+  db.config.printerRoutes = routes;
+  saveDb(db);
+}
+
+// Target printer for a job type (see PRINT_JOB_TYPES)
+function resolvePrinter(jobType) {
+  const routes = getConfig().printerRoutes || {};
+  const id = routes[jobType];
+  return (id && getPrinter(id)) || getDefaultPrinter();
+}
+
+// ============ Members ============
+
+function getMembers() {
+  const db = loadDb();
+  return [...db.members].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+}
+
+// Donotick user ID: a positive integer or null (not linked)
+function memberUserId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function addMember({ name, donotickUserId = null, morning = true }) {
+  const db = loadDb();
+  const member = {
+    id: generateId(),
+    name: String(name).trim(),
+    donotickUserId: memberUserId(donotickUserId),
+    morning: morning !== false,
+    createdAt: new Date().toISOString()
+  };
+  db.members.push(member);
+  saveDb(db);
+  return member;
+}
+
+function updateMember(id, updates) {
+  const db = loadDb();
+  const member = db.members.find(m => m.id === id);
+  if (!member) return null;
+  if (updates.name !== undefined) member.name = String(updates.name).trim();
+  if (updates.donotickUserId !== undefined) member.donotickUserId = memberUserId(updates.donotickUserId);
+  if (updates.morning !== undefined) member.morning = updates.morning !== false;
+  saveDb(db);
+  return member;
+}
+
+function deleteMember(id) {
+  const db = loadDb();
+  db.members = db.members.filter(m => m.id !== id);
+  saveDb(db);
+}
+
+// Member a task belongs to (by its Donotick assignee), or null
+function findTaskMember(task, members = getMembers()) {
+  if (!task.assigneeId) return null;
+  return members.find(m => m.donotickUserId && String(m.donotickUserId) === String(task.assigneeId)) || null;
+}
+
+// ============ Print Jobs ============
+
+// Jobs that have not reached a final state
+const OPEN_JOB_STATUSES = ['pending', 'sending'];
+
+// Get print jobs, newest first
+function getPrintJobs(limit = 50) {
+  const db = loadDb();
+  return [...db.printJobs]
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .slice(0, limit);
+}
+
+function getPrintJob(id) {
+  const db = loadDb();
+  return db.printJobs.find(j => j.id === id) || null;
+}
+
+// Add a pending job (payload is the raw ESC/POS buffer)
+function addPrintJob({ type, label, printer, payload }) {
+  const db = loadDb();
+  const now = new Date().toISOString();
+  const job = {
+    id: generateId(),
+    type,
+    label: label || type,
+    printerId: printer.id,
+    printerName: printer.name,
+    host: printer.host,
+    port: printer.port,
+    payload: Buffer.from(payload).toString('base64'),
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    printedAt: null
+  };
+  db.printJobs.push(job);
+  saveDb(db);
+  return job;
+}
+
+// Update a job's queue fields
+function updatePrintJob(id, updates) {
+  const db = loadDb();
+  const job = db.printJobs.find(j => j.id === id);
+  if (!job) return null;
+  Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+  pruneFinishedJobs(db);
+  saveDb(db);
+  return job;
+}
+
+// Keep only the last N finished jobs (open jobs are never dropped)
+function pruneFinishedJobs(db) {
+  const finished = db.printJobs
+    .filter(j => !OPEN_JOB_STATUSES.includes(j.status))
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  if (finished.length <= MAX_FINISHED_PRINT_JOBS) return;
+  const drop = new Set(finished.slice(MAX_FINISHED_PRINT_JOBS).map(j => j.id));
+  db.printJobs = db.printJobs.filter(j => !drop.has(j.id));
+}
+
+// ============ Virtual Printer ============
+
+// Received tickets, newest first
+function getVirtualPrintJobs(limit = MAX_VIRTUAL_PRINT_JOBS) {
+  const db = loadDb();
+  return db.virtualPrintJobs.slice(0, limit);
+}
+
+function getVirtualPrintJob(id) {
+  const db = loadDb();
+  return db.virtualPrintJobs.find(j => j.id === id) || null;
+}
+
+function addVirtualPrintJob({ remote, bytes, paperWidth, text }) {
+  const db = loadDb();
+  const job = {
+    id: generateId(),
+    receivedAt: new Date().toISOString(),
+    remote,
+    size: bytes.length,
+    paperWidth,
+    bytes: Buffer.from(bytes).toString('base64'),
+    text
+  };
+  db.virtualPrintJobs.unshift(job);
+  db.virtualPrintJobs = db.virtualPrintJobs.slice(0, MAX_VIRTUAL_PRINT_JOBS);
+  saveDb(db);
+  return job;
+}
+
+function clearVirtualPrintJobs() {
+  const db = loadDb();
+  db.virtualPrintJobs = [];
+  saveDb(db);
+}
+
+// ============ Shopping List ============
+
 // Get all storage items sorted by usage count (most used first)
 function getShoppingItems() {
   const db = loadDb();
@@ -277,16 +677,22 @@ function getShoppingItems() {
 }
 
 // Add new item to storage
-function addShoppingItem(name, unit = 'st') {
+function addShoppingItem(name, unit = 'st', barcode = '') {
   const db = loadDb();
   const id = generateId();
   const item = {
     id,
     name: name.trim(),
     unit,
+    section: '',                           // Store section (see config.shoppingSections)
+    displayUnit: '',                       // Preferred unit for weight/volume on the list (e.g. 'kg'), '' = automatic
+    barcode: String(barcode || '').trim(), // EAN-13 or any Code128 text (optional)
     usageCount: 0,
     alwaysOnList: false,
     alwaysQuantity: 1,
+    stock: 0,                              // Pantry: amount at home (item unit)
+    minStock: 0,                           // Below this it goes on the list, 0 = off
+    expiresAt: '',                         // Best before of the stock at home ('YYYY-MM-DD')
     createdAt: new Date().toISOString()
   };
   db.shopping.items.push(item);
@@ -300,6 +706,7 @@ function updateShoppingItem(id, updates) {
   const idx = db.shopping.items.findIndex(i => i.id === id);
   if (idx === -1) return null;
   db.shopping.items[idx] = { ...db.shopping.items[idx], ...updates };
+  if ('stock' in updates || 'minStock' in updates) restockIfLow(db, db.shopping.items[idx]);
   saveDb(db);
   return db.shopping.items[idx];
 }
@@ -312,6 +719,9 @@ function deleteShoppingItem(id) {
   db.shopping.collections.forEach(c => {
     c.items = c.items.filter(i => i.itemId !== id);
   });
+  db.recipes.forEach(r => {
+    r.ingredients = r.ingredients.filter(i => i.itemId !== id);
+  });
   saveDb(db);
 }
 
@@ -322,13 +732,21 @@ function findShoppingItemByName(name) {
   return db.shopping.items.find(i => i.name.toLowerCase() === lower);
 }
 
+// Find item by barcode (e.g. scanned EAN)
+function findShoppingItemByBarcode(barcode) {
+  const db = loadDb();
+  const code = String(barcode || '').trim();
+  if (!code) return undefined;
+  return db.shopping.items.find(i => i.barcode === code);
+}
+
 // Search items (fuzzy)
 function searchShoppingItems(query) {
   const db = loadDb();
   const lower = query.toLowerCase().trim();
   if (!lower) return getShoppingItems();
   return db.shopping.items
-    .filter(i => i.name.toLowerCase().includes(lower))
+    .filter(i => i.name.toLowerCase().includes(lower) || i.barcode === query.trim())
     .sort((a, b) => {
       // Exact match first, then by usage count
       const aExact = a.name.toLowerCase() === lower ? 1 : 0;
@@ -360,14 +778,44 @@ function getShoppingList() {
   });
 }
 
-// Get shopping list with collections resolved to their items (for printing/copying)
-function getShoppingListResolved() {
+// Add a quantity to the resolved entry of an item, converting between
+// compatible units (g/kg, ml/l). Incompatible units (2 Stück + 500 g) stay separate lines.
+function mergeResolvedQuantity(result, item, quantity, unit) {
+  const existing = result.find(r => r.itemId === item.id && convertQuantity(quantity, unit, r.unit) !== null);
+  if (existing) {
+    existing.quantity = roundQuantity(existing.quantity + convertQuantity(quantity, unit, existing.unit));
+  } else {
+    result.push({ itemId: item.id, quantity, unit, item });
+  }
+}
+
+// Get shopping list with collections resolved to their items (for printing/copying),
+// sorted by the store's walking order if a store is given. Checked entries
+// (already in the cart) are left out.
+function getShoppingListResolved(storeId = null) {
   const db = loadDb();
+  const result = resolveListEntries(db, (db.shopping.list || []).filter(l => !l.checked));
+  
+  const store = storeId && (db.shopping.stores || []).find(s => s.id === storeId);
+  if (store) {
+    // Stable sort: items keep their list order within a section
+    const rank = (entry) => {
+      const idx = store.sections.indexOf(entry.item.section);
+      return idx === -1 ? store.sections.length : idx;
+    };
+    result.sort((a, b) => rank(a) - rank(b));
+  }
+  
+  return result;
+}
+
+// Resolve list entries to items (collections expanded, duplicates merged)
+function resolveListEntries(db, entries) {
   const items = db.shopping.items || [];
   const collections = db.shopping.collections || [];
   const result = [];
   
-  for (const entry of (db.shopping.list || [])) {
+  for (const entry of entries) {
     if (entry.collectionId) {
       // Resolve collection to its items
       const col = collections.find(c => c.id === entry.collectionId);
@@ -375,43 +823,73 @@ function getShoppingListResolved() {
         for (const colItem of col.items) {
           const item = items.find(i => i.id === colItem.itemId);
           if (item) {
-            // Check if item already exists in result
-            const existing = result.find(r => r.itemId === colItem.itemId);
-            if (existing) {
-              existing.quantity += (colItem.quantity || 1) * (entry.quantity || 1);
-            } else {
-              result.push({
-                itemId: colItem.itemId,
-                quantity: (colItem.quantity || 1) * (entry.quantity || 1),
-                item: item
-              });
-            }
+            const quantity = (colItem.quantity || 1) * (entry.quantity || 1);
+            mergeResolvedQuantity(result, item, quantity, colItem.unit || item.unit);
           }
         }
       }
     } else if (entry.itemId) {
       const item = items.find(i => i.id === entry.itemId);
       if (item) {
-        // Check if item already exists in result
-        const existing = result.find(r => r.itemId === entry.itemId);
-        if (existing) {
-          existing.quantity += entry.quantity || 1;
-        } else {
-          result.push({
-            itemId: entry.itemId,
-            quantity: entry.quantity || 1,
-            item: item
-          });
+        mergeResolvedQuantity(result, item, entry.quantity || 1, entry.unit || item.unit);
+        for (const part of entry.extra || []) {
+          mergeResolvedQuantity(result, item, part.quantity, part.unit);
         }
       }
     }
   }
   
+  // 1500 g -> 1.5 kg, or the item's preferred display unit
+  for (const entry of result) {
+    Object.assign(entry, normalizeQuantity(entry.quantity, entry.unit, entry.item.displayUnit));
+  }
   return result;
 }
 
+/**
+ * Group a resolved shopping list by item section, in walking order.
+ * Items without a (known) section end up in "Sonstiges" at the end.
+ * @param {Object[]} list - From getShoppingListResolved
+ * @param {string[]} order - Section names (default: config.shoppingSections)
+ * @returns {Object[]} [{ name, items: [{ name, quantity, unit, barcode }] }]
+ */
+function groupShoppingListBySection(list, order = getConfig().shoppingSections || []) {
+  const sections = order.map(name => ({ name, items: [] }));
+  const other = { name: 'Sonstiges', items: [] };
+  for (const entry of list) {
+    const section = sections.find(s => s.name === entry.item.section) || other;
+    section.items.push({
+      name: entry.item.name,
+      quantity: formatQuantity(entry.quantity, entry.unit || entry.item.unit, entry.item.displayUnit),
+      unit: entry.unit || entry.item.unit,
+      barcode: entry.item.barcode || ''
+    });
+  }
+  return [...sections, other].filter(s => s.items.length);
+}
+
+// Increase a list entry, converting the added quantity into the entry's unit.
+// Units that don't convert (2 Packungen + 500 g) go into entry.extra as
+// { quantity, unit } parts, one per unit that can't be merged.
+function addEntryQuantity(entry, quantity, unit, item) {
+  const entryUnit = entry.unit || (item && item.unit) || 'st';
+  const addUnit = unit || entryUnit;
+  const converted = convertQuantity(quantity, addUnit, entryUnit);
+  if (converted !== null) {
+    entry.quantity = roundQuantity((entry.quantity || 1) + converted);
+    return;
+  }
+  entry.extra = entry.extra || [];
+  const part = entry.extra.find(p => convertQuantity(quantity, addUnit, p.unit) !== null);
+  if (part) {
+    part.quantity = roundQuantity(part.quantity + convertQuantity(quantity, addUnit, part.unit));
+  } else {
+    entry.extra.push({ quantity, unit: addUnit });
+  }
+}
+
 // Add item or collection to shopping list (or increase quantity if exists)
-function addToShoppingList(itemId, quantity = 1, collectionId = null) {
+function addToShoppingList(itemId, quantity = 1, collectionId = null, unit = null) {
   const db = loadDb();
   
   if (collectionId) {
@@ -432,16 +910,17 @@ function addToShoppingList(itemId, quantity = 1, collectionId = null) {
   } else if (itemId) {
     // Adding an item
     const existing = db.shopping.list.find(l => l.itemId === itemId);
+    const item = db.shopping.items.find(i => i.id === itemId);
     if (existing) {
-      existing.quantity = (existing.quantity || 1) + quantity;
+      addEntryQuantity(existing, quantity, unit, item);
     } else {
       db.shopping.list.push({
         itemId,
         quantity,
+        ...(unit ? { unit } : {}),
         addedAt: new Date().toISOString()
       });
       // Increment usage count
-      const item = db.shopping.items.find(i => i.id === itemId);
       if (item) item.usageCount = (item.usageCount || 0) + 1;
     }
   }
@@ -450,8 +929,8 @@ function addToShoppingList(itemId, quantity = 1, collectionId = null) {
   return getShoppingList();
 }
 
-// Update quantity in shopping list (works for both items and collections)
-function updateShoppingListQuantity(id, quantity) {
+// Update quantity (and optionally the unit) in shopping list (works for both items and collections)
+function updateShoppingListQuantity(id, quantity, unit = null) {
   const db = loadDb();
   const entry = db.shopping.list.find(l => l.itemId === id || l.collectionId === id);
   if (entry) {
@@ -459,12 +938,73 @@ function updateShoppingListQuantity(id, quantity) {
       db.shopping.list = db.shopping.list.filter(l => l.itemId !== id && l.collectionId !== id);
     } else {
       entry.quantity = quantity;
+      if (unit && entry.itemId) entry.unit = unit;
     }
     saveDb(db);
   }
   return getShoppingList();
 }
 
+// Mark an entry as in the cart (checked = undefined toggles)
+function checkShoppingListEntry(id, checked) {
+  const db = loadDb();
+  const entry = db.shopping.list.find(l => l.itemId === id || l.collectionId === id);
+  if (!entry) return null;
+  entry.checked = checked === undefined ? !entry.checked : !!checked;
+  saveDb(db);
+  return getShoppingList();
+}
+
+/**
+ * Finish shopping: checked entries leave the list, their items' usageCount
+ * and pantry stock go up and the trip (resolved items) is recorded.
+ * Quantities in units that don't convert to the item's unit (500 g of an
+ * item counted in Stück) can't be booked and are returned as notStocked.
+ * @returns {Object|null} { trip, notStocked: [{ itemId, name, quantity, unit }] },
+ *   or null if nothing was checked
+ */
+function finishShopping(storeId = null) {
+  const db = loadDb();
+  const checked = db.shopping.list.filter(l => l.checked);
+  if (!checked.length) return null;
+  
+  const bought = resolveListEntries(db, checked);
+  // An item can come twice (units that don't convert), it counts once
+  for (const item of new Set(bought.map(e => e.item))) {
+    item.usageCount = (item.usageCount || 0) + 1;
+  }
+  const notStocked = [];
+  for (const entry of bought) {
+    const converted = convertQuantity(entry.quantity, entry.unit || entry.item.unit, entry.item.unit);
+    if (converted !== null) {
+      entry.item.stock = roundQuantity((entry.item.stock || 0) + converted);
+    } else {
+      notStocked.push({ itemId: entry.itemId, name: entry.item.name, quantity: entry.quantity, unit: entry.unit });
+    }
+  }
+  for (const entry of checked.filter(l => l.collectionId)) {
+    const col = db.shopping.collections.find(c => c.id === entry.collectionId);
+    if (col) col.usageCount = (col.usageCount || 0) + 1;
+  }
+  
+  const store = storeId && db.shopping.stores.find(s => s.id === storeId);
+  const trip = {
+    id: generateId(),
+    date: new Date().toISOString(),
+    storeId: store ? store.id : null,
+    storeName: store ? store.name : null,
+    items: bought.map(e => ({ itemId: e.itemId, name: e.item.name, quantity: e.quantity, unit: e.unit }))
+  };
+  db.shopping.trips.push(trip);
+  // Keep the most recent trips (statistics are recomputed from all of them)
+  if (db.shopping.trips.length > MAX_SHOPPING_TRIPS) {
+    db.shopping.trips = db.shopping.trips.slice(-MAX_SHOPPING_TRIPS);
+  }
+  db.shopping.list = db.shopping.list.filter(l => !l.checked);
+  saveDb(db);
+  return { trip, notStocked };
+}
+
 // Remove item or collection from shopping list
 function removeFromShoppingList(id) {
   const db = loadDb();
@@ -512,13 +1052,18 @@ function getCollection(id) {
   };
 }
 
+// Collection item { itemId, quantity, unit? } (unit defaults to the item's unit)
+function collectionEntry(i) {
+  return { itemId: i.itemId, quantity: i.quantity || 1, ...(i.unit && UNIT_TYPES[i.unit] ? { unit: i.unit } : {}) };
+}
+
 function createCollection(name, items = []) {
   const db = loadDb();
   const id = generateId();
   const collection = {
     id,
     name: name.trim(),
-    items: items.map(i => ({ itemId: i.itemId, quantity: i.quantity || 1 })),
+    items: items.map(collectionEntry),
     createdAt: new Date().toISOString()
   };
   db.shopping.collections.push(collection);
@@ -531,7 +1076,7 @@ function updateCollection(id, updates) {
   const idx = db.shopping.collections.findIndex(c => c.id === id);
   if (idx === -1) return null;
   if (updates.items) {
-    updates.items = updates.items.map(i => ({ itemId: i.itemId, quantity: i.quantity || 1 }));
+    updates.items = updates.items.map(collectionEntry);
   }
   db.shopping.collections[idx] = { ...db.shopping.collections[idx], ...updates };
   saveDb(db);
@@ -550,18 +1095,19 @@ function applyCollection(id) {
   const collection = db.shopping.collections.find(c => c.id === id);
   if (!collection) return null;
   
-  collection.items.forEach(({ itemId, quantity }) => {
+  collection.items.forEach(({ itemId, quantity, unit }) => {
     const existing = db.shopping.list.find(l => l.itemId === itemId);
+    const item = db.shopping.items.find(i => i.id === itemId);
     if (existing) {
-      existing.quantity = (existing.quantity || 1) + (quantity || 1);
+      addEntryQuantity(existing, quantity || 1, unit, item);
     } else {
       db.shopping.list.push({
         itemId,
         quantity: quantity || 1,
+        ...(unit ? { unit } : {}),
         addedAt: new Date().toISOString()
       });
       // Increment usage count
-      const item = db.shopping.items.find(i => i.id === itemId);
       if (item) item.usageCount = (item.usageCount || 0) + 1;
     }
   });
@@ -574,26 +1120,493 @@ function saveListAsCollection(name) {
   const db = loadDb();
   const items = db.shopping.list.map(l => ({
     itemId: l.itemId,
-    quantity: l.quantity || 1
+    quantity: l.quantity || 1,
+    unit: l.unit
   }));
   return createCollection(name, items);
 }
 
-// Format quantity with unit for display
-function formatQuantity(quantity, unit) {
-  const unitInfo = UNIT_TYPES[unit] || UNIT_TYPES.st;
+// ============ Recipes ============
+
+function getRecipes() {
+  const db = loadDb();
+  return [...db.recipes].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Recipe with ingredient details, optionally scaled to other servings.
+ * Count units (eggs, cans) are not rounded here - see addRecipeToShoppingList.
+ * @param {string} id - Recipe id
+ * @param {number} servings - Portions to scale to (default: the recipe's own)
+ */
+function getRecipe(id, servings = null) {
+  const db = loadDb();
+  const recipe = db.recipes.find(r => r.id === id);
+  if (!recipe) return null;
+  const factor = servings ? servings / recipe.servings : 1;
+  return {
+    ...recipe,
+    servings: servings || recipe.servings,
+    ingredients: recipe.ingredients.map(entry => {
+      const item = db.shopping.items.find(i => i.id === entry.itemId) || { id: entry.itemId, name: '(deleted)', unit: 'st' };
+      return { ...entry, quantity: roundQuantity(entry.quantity * factor), unit: entry.unit || item.unit, item };
+    })
+  };
+}
+
+// Same shape as collection items, plus a positive servings count
+function recipeFields(updates) {
+  const fields = {};
+  if (updates.name !== undefined) fields.name = String(updates.name).trim();
+  if (updates.servings !== undefined) fields.servings = Math.max(1, Number(updates.servings) || 1);
+  if (updates.ingredients !== undefined) fields.ingredients = updates.ingredients.filter(i => i.itemId).map(collectionEntry);
+  if (updates.instructions !== undefined) fields.instructions = String(updates.instructions || '');
+  return fields;
+}
+
+function createRecipe({ name, servings = 2, ingredients = [], instructions = '' }) {
+  const db = loadDb();
+  const recipe = {
+    id: generateId(),
+    ...recipeFields({ name, servings, ingredients, instructions }),
+    usageCount: 0,
+    createdAt: new Date().toISOString()
+  };
+  db.recipes.push(recipe);
+  saveDb(db);
+  return recipe;
+}
+
+function updateRecipe(id, updates) {
+  const db = loadDb();
+  const idx = db.recipes.findIndex(r => r.id === id);
+  if (idx === -1) return null;
+  db.recipes[idx] = { ...db.recipes[idx], ...recipeFields(updates) };
+  saveDb(db);
+  return db.recipes[idx];
+}
+
+function deleteRecipe(id) {
+  const db = loadDb();
+  db.recipes = db.recipes.filter(r => r.id !== id);
+  db.meals = db.meals.filter(m => m.recipeId !== id);
+  saveDb(db);
+}
+
+/**
+ * Put a recipe's ingredients for N servings on the shopping list.
+ * Count units are rounded up (1.5 eggs -> 2), weights/volumes stay exact.
+ * @returns {Object[]|null} The shopping list, or null if the recipe doesn't exist
+ */
+function addRecipeToShoppingList(id, servings = null) {
+  const recipe = getRecipe(id, servings);
+  if (!recipe) return null;
+  const db = loadDb();
+  
+  for (const { itemId, quantity, unit } of recipe.ingredients) {
+    const item = db.shopping.items.find(i => i.id === itemId);
+    if (!item) continue;
+    const amount = UNIT_TYPES[unit] && UNIT_TYPES[unit].base ? quantity : Math.ceil(quantity);
+    const existing = db.shopping.list.find(l => l.itemId === itemId);
+    if (existing) {
+      addEntryQuantity(existing, amount, unit, item);
+    } else {
+      db.shopping.list.push({
+        itemId,
+        quantity: amount,
+        ...(unit !== item.unit ? { unit } : {}),
+        addedAt: new Date().toISOString()
+      });
+      item.usageCount = (item.usageCount || 0) + 1;
+    }
+  }
+  const stored = db.recipes.find(r => r.id === id);
+  stored.usageCount = (stored.usageCount || 0) + 1;
+  saveDb(db);
+  return getShoppingList();
+}
+
+// ============ Meal Plan ============
+
+/**
+ * Planned meals between two dates (inclusive, 'YYYY-MM-DD'), by date and slot.
+ * Each entry gets `name`: the recipe's name or the free text.
+ */
+function getMeals(from, to) {
+  const db = loadDb();
+  const slots = Object.keys(MEAL_SLOTS);
+  return db.meals
+    .filter(m => (!from || m.date >= from) && (!to || m.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date) || slots.indexOf(a.slot) - slots.indexOf(b.slot))
+    .map(meal => {
+      const recipe = meal.recipeId && db.recipes.find(r => r.id === meal.recipeId);
+      return { ...meal, name: recipe ? recipe.name : (meal.text || '(gelöscht)') };
+    });
+}
+
+/**
+ * Plan a meal (replaces what was planned for that date and slot).
+ * Neither recipeId nor text clears the slot.
+ * @returns {Object|null} The meal, or null if the slot was cleared
+ */
+function setMeal(date, slot, { recipeId = null, text = '', servings = null } = {}) {
+  const db = loadDb();
+  db.meals = db.meals.filter(m => m.date !== date || m.slot !== slot);
+  let meal = null;
+  if (recipeId || String(text).trim()) {
+    meal = {
+      id: generateId(),
+      date,
+      slot,
+      ...(recipeId ? { recipeId } : { text: String(text).trim() }),
+      ...(recipeId && servings ? { servings: Math.max(1, Number(servings) || 1) } : {}),
+      createdAt: new Date().toISOString()
+    };
+    db.meals.push(meal);
+  }
+  saveDb(db);
+  return meal;
+}
+
+function deleteMeal(id) {
+  const db = loadDb();
+  db.meals = db.meals.filter(m => m.id !== id);
+  saveDb(db);
+}
+
+/**
+ * Put the ingredients of all planned recipes between two dates on the
+ * shopping list. Needs are summed per item and unit family first (two
+ * recipes with 1.5 eggs each make 3, not 4), then added via addToShoppingList.
+ * Units that don't convert (Stück and g) stay separate needs.
+ * @returns {Object} { meals: number of recipes used, items: number of items added }
+ */
+function addMealPlanToShoppingList(from, to) {
+  const needs = new Map(); // 'itemId|base unit' -> { itemId, quantity, unit }
+  const planned = getMeals(from, to).filter(m => m.recipeId);
+  let used = 0;
+  
+  for (const meal of planned) {
+    const recipe = getRecipe(meal.recipeId, meal.servings || null);
+    if (!recipe) continue;
+    used++;
+    for (const { itemId, quantity, unit } of recipe.ingredients) {
+      const key = `${itemId}|${(UNIT_TYPES[unit] && UNIT_TYPES[unit].base) || unit}`;
+      const need = needs.get(key);
+      if (need) {
+        need.quantity = roundQuantity(need.quantity + convertQuantity(quantity, unit, need.unit));
+      } else {
+        needs.set(key, { itemId, quantity, unit });
+      }
+    }
+  }
+  
+  const items = new Set(getShoppingItems().map(i => i.id));
+  const added = new Set();
+  for (const { itemId, quantity, unit } of needs.values()) {
+    if (!items.has(itemId)) continue;
+    const amount = UNIT_TYPES[unit] && UNIT_TYPES[unit].base ? quantity : Math.ceil(quantity);
+    addToShoppingList(itemId, amount, null, unit);
+    added.add(itemId);
+  }
+  return { meals: used, items: added.size };
+}
+
+// ============ Pantry ============
+
+// Local 'YYYY-MM-DD' (expiry dates are local days, unlike todayStr)
+function localDateStr(d = new Date()) {
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Put an item below its minimum stock on the list (the missing amount,
+// count units rounded up); items already on the list are left alone
+function restockIfLow(db, item) {
+  const stock = item.stock || 0;
+  if (!(item.minStock > 0) || stock >= item.minStock) return false;
+  if (db.shopping.list.some(l => l.itemId === item.id)) return false;
+  const missing = item.minStock - stock;
+  const unitInfo = UNIT_TYPES[item.unit];
+  db.shopping.list.push({
+    itemId: item.id,
+    quantity: unitInfo && unitInfo.base ? roundQuantity(missing) : Math.ceil(missing),
+    addedAt: new Date().toISOString()
+  });
+  item.usageCount = (item.usageCount || 0) + 1;
+  return true;
+}
+
+// Items with stock, a minimum or an expiry date, by name (low = below minimum)
+function getPantry() {
+  const db = loadDb();
+  return db.shopping.items
+    .filter(i => i.stock > 0 || i.minStock > 0 || i.expiresAt)
+    .map(i => ({ ...i, low: i.minStock > 0 && (i.stock || 0) < i.minStock }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Change an item's stock by a (signed) amount, given in the item's unit or a
+ * convertible one. Stock doesn't go below 0; empty stock loses its expiry.
+ * Adding stock with an expiry keeps the earlier of both dates.
+ * @returns {Object|null} { item, restocked } - restocked: put on the shopping list
+ */
+function changeStock(id, delta, unit = null, expiresAt = '') {
+  const db = loadDb();
+  const item = db.shopping.items.find(i => i.id === id);
+  if (!item) return null;
+  const converted = convertQuantity(delta, unit || item.unit, item.unit);
+  if (converted === null) throw new Error(`Cannot convert ${unit} to ${item.unit}`);
+  
+  const before = item.stock || 0;
+  item.stock = Math.max(0, roundQuantity(before + converted));
+  if (expiresAt && converted > 0) {
+    item.expiresAt = before > 0 && item.expiresAt && item.expiresAt < expiresAt ? item.expiresAt : expiresAt;
+  }
+  if (!item.stock) item.expiresAt = '';
   
-  // Auto-convert large values (e.g., 1500g -> 1.5kg)
-  if (unitInfo.isWeight && unit === 'g' && quantity >= 1000) {
-    return `${(quantity / 1000).toFixed(quantity % 1000 === 0 ? 0 : 1)} kg`;
+  const restocked = restockIfLow(db, item);
+  saveDb(db);
+  return { item, restocked };
+}
+
+/**
+ * Items at home that expire within `days` days (0 = today), already expired
+ * ones included. Sorted by expiry date.
+ */
+function getExpiringItems(days = 1, now = new Date()) {
+  const until = new Date(now);
+  until.setDate(until.getDate() + days);
+  const last = localDateStr(until);
+  const db = loadDb();
+  return db.shopping.items
+    .filter(i => i.stock > 0 && i.expiresAt && i.expiresAt <= last)
+    .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+}
+
+// ============ Stores ============
+
+function getStores() {
+  const db = loadDb();
+  return db.shopping.stores || [];
+}
+
+function getStore(id) {
+  if (!id) return null;
+  return getStores().find(s => s.id === id) || null;
+}
+
+// New stores start with the default section order (config.shoppingSections)
+function createStore(name, sections = null) {
+  const db = loadDb();
+  const store = {
+    id: generateId(),
+    name: name.trim(),
+    sections: (sections || db.config.shoppingSections || getDefaultConfig().shoppingSections).map(String),
+    createdAt: new Date().toISOString()
+  };
+  db.shopping.stores.push(store);
+  saveDb(db);
+  return store;
+}
+
+function updateStore(id, updates) {
+  const db = loadDb();
+  const idx = db.shopping.stores.findIndex(s => s.id === id);
+  if (idx === -1) return null;
+  const { name, sections } = updates;
+  if (name !== undefined) db.shopping.stores[idx].name = String(name).trim();
+  if (Array.isArray(sections)) db.shopping.stores[idx].sections = sections.map(String);
+  saveDb(db);
+  return db.shopping.stores[idx];
+}
+
+function deleteStore(id) {
+  const db = loadDb();
+  db.shopping.stores = db.shopping.stores.filter(s => s.id !== id);
+  if (db.config.shoppingStoreId === id) db.config.shoppingStoreId = '';
+  saveDb(db);
+}
+
+// ============ Shopping History ============
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finished shopping trips, newest first
+function getShoppingTrips(limit = 50) {
+  const db = loadDb();
+  return db.shopping.trips.slice(-limit).reverse();
+}
+
+function deleteShoppingTrip(id) {
+  const db = loadDb();
+  const before = db.shopping.trips.length;
+  db.shopping.trips = db.shopping.trips.filter(t => t.id !== id);
+  saveDb(db);
+  return db.shopping.trips.length < before;
+}
+
+/**
+ * Purchase statistics per item from the recorded trips.
+ * Quantities are summed in the item's unit (g/kg, ml/l converted) over the
+ * quantityPurchases that had one; quantities in units that don't convert
+ * are summed per unit in otherQuantities. avgIntervalDays is the mean gap
+ * between two purchases (null below 2).
+ * @returns {Object} { tripCount, firstTrip, lastTrip, items } - items most bought first
+ */
+function getShoppingStats() {
+  const db = loadDb();
+  const trips = [...db.shopping.trips].sort((a, b) => a.date.localeCompare(b.date));
+  const byItem = new Map();
+  
+  for (const trip of trips) {
+    for (const bought of trip.items) {
+      let stats = byItem.get(bought.itemId);
+      if (!stats) {
+        const item = db.shopping.items.find(i => i.id === bought.itemId);
+        stats = {
+          itemId: bought.itemId,
+          name: item ? item.name : bought.name,
+          unit: item ? item.unit : bought.unit,
+          purchases: 0,
+          quantityPurchases: 0,
+          totalQuantity: 0,
+          otherQuantities: [],
+          dates: []
+        };
+        byItem.set(bought.itemId, stats);
+      }
+      const converted = convertQuantity(bought.quantity, bought.unit, stats.unit);
+      if (converted !== null) {
+        stats.totalQuantity = roundQuantity(stats.totalQuantity + converted);
+        stats.quantityPurchases++;
+      } else {
+        const other = stats.otherQuantities.find(o => convertQuantity(1, bought.unit, o.unit) !== null);
+        if (other) other.quantity = roundQuantity(other.quantity + convertQuantity(bought.quantity, bought.unit, other.unit));
+        else stats.otherQuantities.push({ quantity: bought.quantity, unit: bought.unit });
+      }
+      // Same item twice in one trip (units that don't convert) is one purchase
+      if (stats.dates[stats.dates.length - 1] !== trip.date) {
+        stats.purchases++;
+        stats.dates.push(trip.date);
+      }
+    }
   }
-  if (unitInfo.isVolume && unit === 'ml' && quantity >= 1000) {
-    return `${(quantity / 1000).toFixed(quantity % 1000 === 0 ? 0 : 1)} L`;
+  
+  const items = [...byItem.values()].map(({ dates, ...stats }) => {
+    const gaps = dates.slice(1).map((date, i) => (new Date(date) - new Date(dates[i])) / DAY_MS);
+    return {
+      ...stats,
+      firstBought: dates[0],
+      lastBought: dates[dates.length - 1],
+      avgIntervalDays: gaps.length ? Math.round(gaps.reduce((sum, d) => sum + d, 0) / gaps.length * 10) / 10 : null
+    };
+  }).sort((a, b) => b.purchases - a.purchases || a.name.localeCompare(b.name));
+  
+  return {
+    tripCount: trips.length,
+    firstTrip: trips.length ? trips[0].date : null,
+    lastTrip: trips.length ? trips[trips.length - 1].date : null,
+    items
+  };
+}
+
+// Suggest an item once this share of its usual interval has passed
+const SUGGESTION_THRESHOLD = 0.8;
+
+// Averages like 1.167 l are no useful list quantity: 1.2 l, 733 g
+function roundSuggestedQuantity(quantity) {
+  return quantity >= 10 ? Math.round(quantity) : Math.round(quantity * 10) / 10;
+}
+
+/**
+ * Items that are probably running out: bought at least twice and the last
+ * purchase is (almost) as long ago as the item's average interval.
+ * Items already on the list (also via collections) and "always on list"
+ * items are left out. Quantity is the average bought per trip.
+ * @returns {Object[]} { itemId, name, unit, displayUnit, quantity, avgIntervalDays, daysSince, lastBought }, most overdue first
+ */
+function getShoppingSuggestions(limit = 10, now = new Date()) {
+  const db = loadDb();
+  const onList = new Set(resolveListEntries(db, db.shopping.list).map(e => e.itemId));
+  const suggestions = [];
+  
+  for (const stats of getShoppingStats().items) {
+    const item = db.shopping.items.find(i => i.id === stats.itemId);
+    if (!item || item.alwaysOnList || onList.has(item.id)) continue;
+    if (!stats.avgIntervalDays || stats.avgIntervalDays < 1) continue;
+    const daysSince = (now - new Date(stats.lastBought)) / DAY_MS;
+    if (daysSince < stats.avgIntervalDays * SUGGESTION_THRESHOLD) continue;
+    
+    // Usual amount in the item's unit (1 if it was only bought in other units)
+    const average = stats.quantityPurchases ? stats.totalQuantity / stats.quantityPurchases : 1;
+    const unitInfo = UNIT_TYPES[item.unit] || UNIT_TYPES.st;
+    suggestions.push({
+      itemId: item.id,
+      name: item.name,
+      unit: item.unit,
+      displayUnit: item.displayUnit || '',
+      quantity: unitInfo.base ? roundSuggestedQuantity(average) : Math.max(1, Math.round(average)),
+      avgIntervalDays: stats.avgIntervalDays,
+      daysSince: Math.floor(daysSince),
+      lastBought: stats.lastBought,
+      overdue: daysSince / stats.avgIntervalDays,
+      usageCount: item.usageCount || 0
+    });
   }
   
-  // Regular format
+  return suggestions
+    .sort((a, b) => b.overdue - a.overdue || b.usageCount - a.usageCount)
+    .slice(0, limit)
+    .map(({ overdue, usageCount, ...suggestion }) => suggestion);
+}
+
+// ============ Units ============
+
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1000) / 1000;
+}
+
+// Convert between units with the same base (g/kg, ml/l); null if not convertible
+function convertQuantity(quantity, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return quantity;
+  const from = UNIT_TYPES[fromUnit];
+  const to = UNIT_TYPES[toUnit];
+  if (!from || !to || !from.base || from.base !== to.base) return null;
+  return roundQuantity(quantity * (from.factor || 1) / (to.factor || 1));
+}
+
+/**
+ * Pick the display unit for a quantity: the preferred unit if it is
+ * convertible, else the largest unit that keeps the quantity >= 1
+ * (1500 g -> 1.5 kg, 0.25 l -> 250 ml). Count units stay as they are.
+ * @returns {Object} { quantity, unit }
+ */
+function normalizeQuantity(quantity, unit, preferredUnit = '') {
+  const preferred = preferredUnit ? convertQuantity(quantity, unit, preferredUnit) : null;
+  if (preferred !== null) return { quantity: preferred, unit: preferredUnit };
+  const info = UNIT_TYPES[unit];
+  if (!info || !info.base) return { quantity, unit };
+  const candidates = Object.keys(UNIT_TYPES)
+    .filter(key => UNIT_TYPES[key].base === info.base)
+    .sort((a, b) => (UNIT_TYPES[b].factor || 1) - (UNIT_TYPES[a].factor || 1));
+  for (const key of candidates) {
+    const converted = convertQuantity(quantity, unit, key);
+    if (converted >= 1) return { quantity: converted, unit: key };
+  }
+  return { quantity, unit };
+}
+
+// Format quantity with unit for display
+function formatQuantity(quantity, unit, preferredUnit = '') {
+  const unitInfo = UNIT_TYPES[unit] || UNIT_TYPES.st;
+  
+  // Weight/volume: auto-convert (e.g., 1500g -> 1.5 kg) unless a unit is preferred
   if (unitInfo.isWeight || unitInfo.isVolume) {
-    return `${quantity} ${unitInfo.short}`;
+    const normalized = normalizeQuantity(quantity, unit, preferredUnit);
+    return `${roundQuantity(normalized.quantity)} ${UNIT_TYPES[normalized.unit].short}`;
   }
   
   // Count-based units
@@ -682,6 +1695,7 @@ module.exports = {
   // Daily
   recordMorningTasks,
   getMorningTasks,
+  markMorningTaskDone,
   clearMorningTasks,
   todayStr,
   
@@ -693,17 +1707,62 @@ module.exports = {
   getTrashCache,
   saveTrashCache,
   
+  // Task links
+  addTaskLink,
+  getTaskLink,
+  claimTaskLink,
+  closeTaskLinks,
+  reopenTaskLink,
+  
+  // Printers
+  getDefaultPrinter,
+  getPrinters,
+  getPrinter,
+  addPrinter,
+  updatePrinter,
+  deletePrinter,
+  resolvePrinter,
+  PRINT_JOB_TYPES,
+  
+  // Members
+  getMembers,
+  addMember,
+  updateMember,
+  deleteMember,
+  findTaskMember,
+  
+  // Print jobs
+  getPrintJobs,
+  getPrintJob,
+  addPrintJob,
+  updatePrintJob,
+  
+  // Virtual printer
+  getVirtualPrintJobs,
+  getVirtualPrintJob,
+  addVirtualPrintJob,
+  clearVirtualPrintJobs,
+  
   // Shopping - Items
   getShoppingItems,
   addShoppingItem,
   updateShoppingItem,
   deleteShoppingItem,
   findShoppingItemByName,
+  findShoppingItemByBarcode,
   searchShoppingItems,
   
   // Shopping - List
   getShoppingList,
   getShoppingListResolved,
+  groupShoppingListBySection,
+  checkShoppingListEntry,
+  finishShopping,
+  getStores,
+  getStore,
+  createStore,
+  updateStore,
+  deleteStore,
   addToShoppingList,
   updateShoppingListQuantity,
   removeFromShoppingList,
@@ -718,8 +1777,36 @@ module.exports = {
   applyCollection,
   saveListAsCollection,
   
+  // Recipes
+  getRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  addRecipeToShoppingList,
+  
+  // Pantry
+  getPantry,
+  changeStock,
+  getExpiringItems,
+  
+  // Meal plan
+  getMeals,
+  setMeal,
+  deleteMeal,
+  addMealPlanToShoppingList,
+  MEAL_SLOTS,
+  
+  // Shopping - History
+  getShoppingTrips,
+  deleteShoppingTrip,
+  getShoppingStats,
+  getShoppingSuggestions,
+  
   // Shopping - Utils
   formatQuantity,
+  convertQuantity,
+  normalizeQuantity,
   UNIT_TYPES,
   
   // Logs
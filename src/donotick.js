@@ -10,6 +10,22 @@ let jwtToken = null;
 let jwtExpire = 0;
 let cachedLabels = null;
 let cachedUserId = null;
+let cachedMembers = null;
+let cachedMembersAt = 0;
+
+const MEMBERS_TTL = 60 * 60 * 1000;
+
+// Recurrence types createTask understands (Donotick frequencyType)
+const RECURRENCE_TYPES = ['once', 'daily', 'weekly', 'monthly', 'yearly', 'interval', 'days_of_the_week', 'day_of_the_month'];
+const WEEKDAYS_DE = { monday: 'Mo', tuesday: 'Di', wednesday: 'Mi', thursday: 'Do', friday: 'Fr', saturday: 'Sa', sunday: 'So' };
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// Interval unit -> [text for every 1, plural for "alle N ..."]
+const INTERVAL_UNITS_DE = {
+  days: ['täglich', 'Tage'],
+  weeks: ['wöchentlich', 'Wochen'],
+  months: ['monatlich', 'Monate'],
+  years: ['jährlich', 'Jahre']
+};
 
 function buildUrl(pathname) {
   const base = donotickBaseUrl.endsWith('/') ? donotickBaseUrl.slice(0, -1) : donotickBaseUrl;
@@ -85,6 +101,33 @@ async function getCurrentUserId() {
   return cachedUserId;
 }
 
+// Circle members as userId -> display name (JWT API only, refreshed hourly)
+async function fetchMembers() {
+  if (cachedMembers && Date.now() - cachedMembersAt < MEMBERS_TTL) return cachedMembers;
+  await ensureJwt();
+  const res = await fetch(buildUrl('/api/v1/circles/members'), {
+    headers: bearerHeaders({ Accept: 'application/json' })
+  });
+  if (!res.ok) throw new Error(`Members fetch failed ${res.status}`);
+  const data = await res.json();
+  const list = Array.isArray(data.res) ? data.res : Array.isArray(data) ? data : [];
+  cachedMembers = new Map(list.map((m) => [m.userId, m.displayName || m.username || `User ${m.userId}`]));
+  cachedMembersAt = Date.now();
+  return cachedMembers;
+}
+
+// Username/password login configured (the secretkey API can only do the basics)
+function hasLogin() {
+  return Boolean(donotickUsername && donotickPassword);
+}
+
+// Household members [{ id, name }] (empty without username/password login)
+async function listMembers() {
+  if (!donotickUsername || !donotickPassword) return [];
+  const members = await fetchMembers();
+  return [...members].map(([id, name]) => ({ id, name }));
+}
+
 async function fetchLabels() {
   await ensureJwt();
   const res = await fetch(buildUrl('/api/v1/labels'), {
@@ -132,15 +175,118 @@ async function ensureLabelIds(labelNames) {
     .filter((id) => Number.isInteger(id));
 }
 
-function normalizeTask(task, idx) {
+// frequencyMetadata is an object in newer Donotick versions, a JSON string in older ones
+function parseFrequencyMetadata(meta) {
+  if (!meta) return {};
+  if (typeof meta === 'object') return meta;
+  try {
+    return JSON.parse(meta) || {};
+  } catch {
+    return {};
+  }
+}
+
+// German text for tickets: "täglich", "alle 3 Tage", "Mo, Mi, Fr", "monatlich am 15."
+function recurrenceLabel({ type, every, unit, days }) {
+  switch (type) {
+    case 'daily': return 'täglich';
+    case 'weekly': return 'wöchentlich';
+    case 'monthly': return 'monatlich';
+    case 'yearly': return 'jährlich';
+    case 'interval': {
+      const [single, plural] = INTERVAL_UNITS_DE[unit] || INTERVAL_UNITS_DE.days;
+      return every === 1 ? single : `alle ${every} ${plural}`;
+    }
+    case 'days_of_the_week':
+      return days.length ? Object.keys(WEEKDAYS_DE).filter((d) => days.includes(d)).map((d) => WEEKDAYS_DE[d]).join(', ') : 'wöchentlich';
+    case 'day_of_the_month': return `monatlich am ${every}.`;
+    case 'adaptive': return 'flexibel';
+    default: return 'einmalig';
+  }
+}
+
+/**
+ * Recurrence of a chore as { type, every, unit, days }:
+ * type is Donotick's frequencyType, every + unit ('days' | 'weeks' | 'months' | 'years')
+ * apply to 'interval', days (['monday', ...]) to 'days_of_the_week' and
+ * every is the day for 'day_of_the_month'.
+ */
+function normalizeFrequency(task) {
+  const meta = parseFrequencyMetadata(task.frequencyMetadata);
+  return {
+    type: task.frequencyType || 'once',
+    every: Number(task.frequency) || 1,
+    unit: INTERVAL_UNITS_DE[meta.unit] ? meta.unit : 'days',
+    days: Array.isArray(meta.days) ? meta.days.filter((d) => WEEKDAYS_DE[d]) : []
+  };
+}
+
+/**
+ * Common task shape for tickets and the dashboard.
+ * @param {Map} members - userId -> name (see fetchMembers), for assignee names
+ */
+function normalizeTask(task, idx, members = new Map()) {
   const id = task.id || task._id || task.uuid || task.key || `task-${idx + 1}`;
   const title = task.title || task.name || task.summary || `Task ${idx + 1}`;
   const due = task.nextDueDate || task.dueDate || task.due || task.due_at || task.dueAt || task.due_date || null;
   const description = task.description || task.details || task.note || '';
   const status = typeof task.status === 'number' ? task.status : task.completed ? 1 : 0;
   const labels = Array.isArray(task.labelsV2) ? task.labelsV2.map((l) => l.name).filter(Boolean) : [];
-  const recurrence = task.frequencyType === 'daily' ? 'täglich' : task.frequencyType === 'weekly' ? 'wöchentlich' : 'einmalig';
-  return { id: String(id), title: String(title), due, description, labels, priority: task.priority, recurrence, status, completed: status !== 0 };
+  const frequency = normalizeFrequency(task);
+  const assigneeIds = Array.isArray(task.assignees) ? task.assignees.map((a) => a.userId).filter(Boolean) : [];
+  return {
+    id: String(id),
+    title: String(title),
+    due,
+    description,
+    labels,
+    priority: Number(task.priority) || 0, // 1 (P1) = most urgent ... 4, 0 = none
+    recurrence: recurrenceLabel(frequency),
+    frequency,
+    assigneeId: task.assignedTo || null,
+    assignee: members.get(task.assignedTo) || null,
+    assignees: assigneeIds.map((userId) => members.get(userId)).filter(Boolean),
+    status,
+    completed: status !== 0
+  };
+}
+
+/**
+ * Check a recurrence for createTask.
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRecurrence(recurrence) {
+  if (!recurrence) return null;
+  const { type, every = 1, unit = 'days', days = [] } = recurrence;
+  if (!RECURRENCE_TYPES.includes(type)) return `recurrence.type must be one of ${RECURRENCE_TYPES.join(', ')}`;
+  if (type === 'interval') {
+    if (!Number.isInteger(every) || every < 1) return 'recurrence.every must be a positive integer';
+    if (!INTERVAL_UNITS_DE[unit]) return `recurrence.unit must be one of ${Object.keys(INTERVAL_UNITS_DE).join(', ')}`;
+  }
+  if (type === 'days_of_the_week' && (!Array.isArray(days) || !days.length || days.some((d) => !WEEKDAYS_DE[d]))) {
+    return `recurrence.days must list weekdays (${Object.keys(WEEKDAYS_DE).join(', ')})`;
+  }
+  if (type === 'day_of_the_month' && (!Number.isInteger(every) || every < 1 || every > 31)) {
+    return 'recurrence.every must be a day of the month (1-31)';
+  }
+  return null;
+}
+
+// Donotick chore fields for a recurrence { type, every, unit, days } (see normalizeFrequency)
+function frequencyFields(recurrence) {
+  const { type = 'once', every = 1, unit = 'days', days = [] } = recurrence || {};
+  switch (type) {
+    case 'once':
+      return { frequencyType: 'once', frequency: 0, frequencyMetadata: {} };
+    case 'interval':
+      return { frequencyType: type, frequency: every, frequencyMetadata: { unit } };
+    case 'days_of_the_week':
+      return { frequencyType: type, frequency: 1, frequencyMetadata: { days } };
+    case 'day_of_the_month':
+      return { frequencyType: type, frequency: every, frequencyMetadata: { months: MONTHS } };
+    default:
+      return { frequencyType: type, frequency: 1, frequencyMetadata: {} };
+  }
 }
 
 function isDueInRange(due, range, includeNoDueDate = false) {
@@ -173,6 +319,7 @@ function isDueInRange(due, range, includeNoDueDate = false) {
 async function fetchTasks(range = 'today') {
   // Prefer authenticated API (labels, due dates), fall back to secretkey if login not configured.
   let list = [];
+  let members = new Map();
   const useJwt = donotickUsername && donotickPassword;
   if (useJwt) {
     await ensureJwt();
@@ -185,6 +332,8 @@ async function fetchTasks(range = 'today') {
     ensureJson(res);
     const data = await res.json();
     list = Array.isArray(data.res) ? data.res : Array.isArray(data) ? data : [];
+    // Names are nice to have - tasks still print without them
+    members = await fetchMembers().catch(() => new Map());
   } else {
     if (!donotickToken) throw new Error('DONOTICK_TOKEN missing');
     const tryFetch = async (url) =>
@@ -217,7 +366,7 @@ async function fetchTasks(range = 'today') {
       ? data.tasks
       : [];
   }
-  const normalized = list.map((t, idx) => normalizeTask(t, idx));
+  const normalized = list.map((t, idx) => normalizeTask(t, idx, members));
   // For 'today', include tasks without a due date (they're assumed to be for today)
   if (range === 'today') return normalized.filter((t) => !t.completed && isDueInRange(t.due, 'today', true));
   // For 'week', include tasks due this week + tasks without a due date (they show in "OHNE DATUM")
@@ -238,7 +387,8 @@ async function listAllChores() {
     ensureJson(res);
     const data = await res.json();
     const list = Array.isArray(data.res) ? data.res : Array.isArray(data) ? data : [];
-    return list.map((t, idx) => normalizeTask(t, idx));
+    const members = await fetchMembers().catch(() => new Map());
+    return list.map((t, idx) => normalizeTask(t, idx, members));
   }
   // fallback secretkey
   if (!donotickToken) throw new Error('DONOTICK_TOKEN missing');
@@ -256,20 +406,31 @@ async function listAllChores() {
   return list.map((t, idx) => normalizeTask(t, idx));
 }
 
-async function createTask({ title, description = '', dueDate = null, labels = [] }) {
+/**
+ * Create a chore.
+ * @param {Object} recurrence - { type, every, unit, days } (see normalizeFrequency), default once
+ * @param {number[]} assigneeIds - Donotick user IDs, default the current user
+ * @param {number} priority - 1 (P1) = most urgent ... 4, 0 = none
+ * Recurrence, assignees and priority need the username/password login.
+ */
+async function createTask({ title, description = '', dueDate = null, labels = [], recurrence = null, assigneeIds = [], priority = 0 }) {
   if (donotickUsername && donotickPassword) {
     await ensureJwt();
     const labelIds = await ensureLabelIds(labels);
-    const me = await getCurrentUserId();
+    let assignees = assigneeIds;
+    if (!assignees.length) {
+      const me = await getCurrentUserId();
+      assignees = me ? [me] : [];
+    }
     const body = {
       name: title,
       description,
-      frequencyType: 'once',
-      frequency: 0,
+      ...frequencyFields(recurrence),
       dueDate: dueDate ? new Date(dueDate).toISOString() : '',
       assignStrategy: 'random',
-      assignees: me ? [{ userId: me }] : [],
-      assignedTo: me || undefined,
+      assignees: assignees.map((userId) => ({ userId })),
+      assignedTo: assignees[0] || undefined,
+      priority,
       labelsV2: labelIds.map((id) => ({ id }))
     };
     const res = await fetch(buildUrl('/api/v1/chores'), {
@@ -286,6 +447,9 @@ async function createTask({ title, description = '', dueDate = null, labels = []
   }
 
   if (!donotickToken) throw new Error('DONOTICK_TOKEN missing');
+  if ((recurrence && recurrence.type !== 'once') || assigneeIds.length || priority) {
+    throw new Error('Recurrence, assignees and priority need the Donotick username/password login');
+  }
   const url = buildUrl('/eapi/v1/chore');
   const body = {
     Name: title,
@@ -343,4 +507,140 @@ async function completeTask(id) {
   return res.json();
 }
 
-module.exports = { fetchTasks, createTask, completeTask, listAllChores };
+// Request against the JWT app API, result as { res } like the API returns it
+async function appRequest(method, pathname, body, action) {
+  await ensureJwt();
+  const res = await fetch(buildUrl(pathname), {
+    method,
+    headers: bearerHeaders({ 'Content-Type': 'application/json', Accept: 'application/json' }),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`${action} failed (${res.status}): ${text}`);
+  }
+  // Delete answers without a body in some versions
+  const ct = res.headers.get('content-type') || '';
+  return ct.includes('application/json') ? res.json() : {};
+}
+
+// Request against the secretkey API (create, update and complete only)
+async function externalRequest(method, pathname, body, action) {
+  if (!donotickToken) throw new Error('DONOTICK_TOKEN missing');
+  const res = await fetch(buildUrl(pathname), {
+    method,
+    headers: { secretkey: donotickToken, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`${action} failed (${res.status}): ${text}`);
+  }
+  ensureJson(res);
+  return res.json();
+}
+
+/**
+ * Resolve a new due date for rescheduling.
+ * @param {string} input - 'heute', 'morgen', 'übermorgen', 'nächste Woche' (Monday)
+ *   or a date (YYYY-MM-DD or ISO)
+ * @param {string|null} currentDue - the time of day is kept from it (default 08:00)
+ * @returns {Date|null} null if the input is not understood
+ */
+function resolveDueDate(input, currentDue = null) {
+  const text = String(input || '').trim().toLowerCase();
+  const current = currentDue ? new Date(currentDue) : null;
+  const withTime = (day) => {
+    if (current && !isNaN(current)) day.setHours(current.getHours(), current.getMinutes(), 0, 0);
+    else day.setHours(8, 0, 0, 0);
+    return day;
+  };
+  const day = new Date();
+  const offsets = { heute: 0, morgen: 1, 'übermorgen': 2 };
+  if (text in offsets) {
+    day.setDate(day.getDate() + offsets[text]);
+    return withTime(day);
+  }
+  if (text === 'nächste woche' || text === 'naechste woche') {
+    day.setDate(day.getDate() + 7 - ((day.getDay() + 6) % 7));
+    return withTime(day);
+  }
+  // Plain dates are local days, not UTC midnight
+  const plain = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (plain) return withTime(new Date(Number(plain[1]), Number(plain[2]) - 1, Number(plain[3])));
+  const parsed = new Date(input);
+  return text && !isNaN(parsed) ? parsed : null;
+}
+
+/**
+ * Edit a chore's title, description, labels and/or due date in one request
+ * (fields left undefined stay as they are). Labels need the username/password login.
+ * @param {Date} dueDate - see resolveDueDate
+ */
+async function updateTask(id, { title, description, labels, dueDate } = {}) {
+  if (donotickUsername && donotickPassword) {
+    const { res: chore } = await appRequest('GET', `/api/v1/chores/${id}`, undefined, 'Fetch task');
+    if (!chore) throw new Error(`Task ${id} not found`);
+    // The app API replaces the whole chore, so send it back with the changes
+    const body = {
+      ...chore,
+      name: title !== undefined ? title : chore.name,
+      description: description !== undefined ? description : chore.description,
+      dueDate: dueDate ? new Date(dueDate).toISOString() : (chore.nextDueDate || '')
+    };
+    if (labels !== undefined) {
+      body.labelsV2 = (await ensureLabelIds(labels)).map((labelId) => ({ id: labelId }));
+    }
+    return appRequest('PUT', '/api/v1/chores/', body, 'Update task');
+  }
+
+  if (labels !== undefined) throw new Error('Labels need the Donotick username/password login');
+  const body = {};
+  if (title !== undefined) body.Name = title;
+  if (description !== undefined) body.Description = description;
+  if (dueDate) body.DueDate = new Date(dueDate).toISOString();
+  return externalRequest('PUT', `/eapi/v1/chore/${id}`, body, 'Update task');
+}
+
+/**
+ * Move a chore's next due date.
+ * @param {Date} dueDate - see resolveDueDate
+ */
+async function rescheduleTask(id, dueDate) {
+  const iso = new Date(dueDate).toISOString();
+  if (donotickUsername && donotickPassword) {
+    return appRequest('PUT', `/api/v1/chores/${id}/dueDate`, { dueDate: iso }, 'Reschedule task');
+  }
+  return externalRequest('PUT', `/eapi/v1/chore/${id}`, { DueDate: iso }, 'Reschedule task');
+}
+
+// Skip the current occurrence of a recurring chore (moves on to the next due date)
+async function skipTask(id) {
+  if (!donotickUsername || !donotickPassword) {
+    throw new Error('Skipping needs the Donotick username/password login');
+  }
+  return appRequest('POST', `/api/v1/chores/${id}/skip`, {}, 'Skip task');
+}
+
+async function deleteTask(id) {
+  if (!donotickUsername || !donotickPassword) {
+    throw new Error('Deleting needs the Donotick username/password login');
+  }
+  return appRequest('DELETE', `/api/v1/chores/${id}`, undefined, 'Delete task');
+}
+
+module.exports = {
+  fetchTasks,
+  createTask,
+  completeTask,
+  updateTask,
+  rescheduleTask,
+  skipTask,
+  deleteTask,
+  resolveDueDate,
+  hasLogin,
+  listAllChores,
+  listMembers,
+  validateRecurrence,
+  RECURRENCE_TYPES
+};
@@ -0,0 +1,145 @@
+/**
+ * Bitmap images for tickets (icons, logo).
+ * PNGs from img/bitmaps (bundled icons) and data/images (own logos) are
+ * converted once at startup to dithered 1-bit rasters, so the ticket
+ * builders can stay synchronous. Needs sharp - without it tickets are
+ * printed without images.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_DIRS = [
+  path.join(__dirname, '..', 'img', 'bitmaps'),
+  path.join(__dirname, '..', 'data', 'images')
+];
+
+// Raster heights in dots (1 text line = 24 dots)
+const IMAGE_SIZES = {
+  label: 32,
+  icon: 64,
+  logo: 96
+};
+
+const cache = new Map(); // `${name}@${size}` -> { width, height, data }
+let loaded = false;
+
+// "calendar-days-solid-full.png" -> "calendar-days"
+function imageName(file) {
+  return path.basename(file, path.extname(file)).replace(/(-brands)?-solid-full$/, '');
+}
+
+/**
+ * Floyd-Steinberg dithering of a greyscale image to packed 1-bit rows
+ * (MSB first, 1 = black), the layout GS v 0 expects.
+ */
+function ditherToRaster(pixels, width, height) {
+  const grey = Float32Array.from(pixels);
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const black = grey[i] < 128;
+      const err = grey[i] - (black ? 0 : 255);
+      if (black) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      if (x + 1 < width) grey[i + 1] += err * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) grey[i + width - 1] += err * 3 / 16;
+        grey[i + width] += err * 5 / 16;
+        if (x + 1 < width) grey[i + width + 1] += err * 1 / 16;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+async function loadRaster(sharp, file, height, maxWidth) {
+  const { data, info } = await sharp(file)
+    .flatten({ background: '#ffffff' })
+    .resize({ height, width: maxWidth, fit: 'inside' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return ditherToRaster(data, info.width, info.height);
+}
+
+/**
+ * Convert all images in IMAGE_DIRS for every size in IMAGE_SIZES.
+ * Safe to call again (e.g. after adding a logo).
+ * @param {Function} log - (level, msg, extra) logger
+ */
+async function loadImages(log = () => {}) {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch {
+    log('warn', 'sharp not installed - tickets are printed without images');
+    return 0;
+  }
+  cache.clear();
+  for (const dir of IMAGE_DIRS) {
+    if (!fs.existsSync(dir)) continue;
+    const files = fs.readdirSync(dir).filter((f) => /\.(png|jpe?g)$/i.test(f));
+    for (const file of files) {
+      for (const [size, height] of Object.entries(IMAGE_SIZES)) {
+        try {
+          // 384 dots = full width of a 58mm printer
+          cache.set(`${imageName(file)}@${size}`, await loadRaster(sharp, path.join(dir, file), height, 384));
+        } catch (err) {
+          log('warn', `Could not load image ${file}`, err.message);
+        }
+      }
+    }
+  }
+  loaded = true;
+  return cache.size / Object.keys(IMAGE_SIZES).length;
+}
+
+/**
+ * Cached raster for an image.
+ * @param {string} name - Image name (file name without -solid-full.png)
+ * @param {string} size - 'label' | 'icon' | 'logo'
+ * @returns {Object|null} { width, height, data } or null if unknown / not loaded
+ */
+function getImage(name, size = 'icon') {
+  if (!name) return null;
+  return cache.get(`${name}@${size}`) || null;
+}
+
+// Names of all loaded images (for the settings UI)
+function listImages() {
+  const names = new Set([...cache.keys()].map((k) => k.split('@')[0]));
+  return { loaded, images: [...names].sort() };
+}
+
+/**
+ * Place rasters side by side (e.g. the icons of all labels in one row).
+ * @param {Object[]} images - Rasters from getImage
+ * @param {number} gap - Dots between images
+ */
+function combineHorizontal(images, gap = 16) {
+  const list = images.filter(Boolean);
+  if (!list.length) return null;
+  const width = list.reduce((sum, img) => sum + img.width, 0) + gap * (list.length - 1);
+  const height = Math.max(...list.map((img) => img.height));
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+  let offsetX = 0;
+  for (const img of list) {
+    const srcBytesPerRow = Math.ceil(img.width / 8);
+    const offsetY = Math.floor((height - img.height) / 2);
+    for (let y = 0; y < img.height; y++) {
+      for (let x = 0; x < img.width; x++) {
+        if (img.data[y * srcBytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) {
+          const dx = offsetX + x;
+          data[(y + offsetY) * bytesPerRow + (dx >> 3)] |= 0x80 >> (dx & 7);
+        }
+      }
+    }
+    offsetX += img.width + gap;
+  }
+  return { width, height, data };
+}
+
+module.exports = { loadImages, getImage, listImages, combineHorizontal, ditherToRaster, IMAGE_SIZES };
@@ -0,0 +1,454 @@
+/**
+ * ESC/POS receipt preview.
+ * Interprets the byte buffers built in printer.js (text size, emphasis,
+ * inverse, alignment, feeds, QR codes, barcodes, raster images, cuts) and renders them as SVG,
+ * a standalone HTML page, PNG or plain text - so tickets can be checked
+ * without paper.
+ */
+
+const QRCode = require('qrcode');
+const { decodeBytes } = require('./codepages');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const LF = 0x0a;
+
+// Font A is 12x24 dots; 1 dot = 1px in the preview
+const CELL_W = 12;
+const LINE_H = 24;
+const MARGIN = 16;
+
+const QR_ERROR_LEVELS = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+
+// GS k function B symbologies
+const BARCODE_TYPES = { 67: 'ean13', 73: 'code128' };
+
+// EAN-13 digit patterns (L = odd, G = even parity, R = right half) and the
+// L/G parity sequence selected by the first digit
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = EAN_L.map(p => [...p].reverse().map(b => (b === '1' ? '0' : '1')).join(''));
+const EAN_R = EAN_L.map(p => [...p].map(b => (b === '1' ? '0' : '1')).join(''));
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code128 bar/space widths per symbol value (103-105 = start A/B/C, 106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// ==============================================================================
+// INTERPRETER
+// ==============================================================================
+
+/**
+ * Turn an ESC/POS buffer into layout blocks.
+ * @param {Buffer} buffer - Raw printer bytes
+ * @param {Object} options - { paperWidth } characters per line at normal size
+ * @returns {Object[]} Blocks: { type: 'text'|'feed'|'qr'|'barcode'|'raster'|'cut', ... }
+ */
+function interpret(buffer, { paperWidth = 32 } = {}) {
+  const blocks = [];
+  const defaults = { align: 'left', bold: false, inverse: false, width: 1, height: 1, codePage: 0 };
+  let style = { ...defaults };
+  let segments = [];
+  let qr = { size: 3, level: 'M', data: '' };
+  let bar = { height: 162, moduleWidth: 3, hri: 0 };
+
+  const addBytes = (b) => {
+    const last = segments[segments.length - 1];
+    const same = last && last.bold === style.bold && last.inverse === style.inverse &&
+      last.width === style.width && last.height === style.height && last.codePage === style.codePage;
+    if (same) {
+      last.bytes.push(b);
+    } else {
+      segments.push({ bold: style.bold, inverse: style.inverse, width: style.width, height: style.height, codePage: style.codePage, bytes: [b] });
+    }
+  };
+
+  // Print the line buffer; the printer wraps lines that are wider than the paper
+  const flushLine = () => {
+    const parts = segments.map(({ bytes, codePage, ...rest }) => ({ ...rest, text: decodeBytes(bytes, codePage) }));
+    segments = [];
+    let line = [];
+    let cells = 0;
+    const pushLine = () => {
+      const height = line.length ? Math.max(...line.map(s => s.height)) : style.height;
+      blocks.push({ type: 'text', align: style.align, height, segments: line });
+      line = [];
+      cells = 0;
+    };
+    for (const part of parts) {
+      let current = { ...part, text: '' };
+      for (const ch of part.text) {
+        if (cells + part.width > paperWidth && cells > 0) {
+          if (current.text) line.push(current);
+          pushLine();
+          current = { ...part, text: '' };
+        }
+        current.text += ch;
+        cells += part.width;
+      }
+      if (current.text) line.push(current);
+    }
+    pushLine();
+  };
+
+  const feedLines = (n) => {
+    if (n > 0) blocks.push({ type: 'feed', lines: n });
+  };
+
+  let i = 0;
+  while (i < buffer.length) {
+    const b = buffer[i];
+
+    if (b === LF) {
+      flushLine();
+      i += 1;
+      continue;
+    }
+
+    if (b === ESC) {
+      const cmd = buffer[i + 1];
+      const n = buffer[i + 2];
+      switch (cmd) {
+        case 0x40: // ESC @ initialize
+          style = { ...defaults };
+          segments = [];
+          bar = { height: 162, moduleWidth: 3, hri: 0 };
+          i += 2;
+          continue;
+        case 0x61: // ESC a alignment
+          style.align = [0, 48].includes(n) ? 'left' : [1, 49].includes(n) ? 'center' : 'right';
+          break;
+        case 0x45: // ESC E emphasis
+          style.bold = !!(n & 1);
+          break;
+        case 0x74: // ESC t code page
+          style.codePage = n;
+          break;
+        case 0x21: // ESC ! print mode
+          style.bold = !!(n & 0x08);
+          style.height = n & 0x10 ? 2 : 1;
+          style.width = n & 0x20 ? 2 : 1;
+          break;
+        case 0x64: // ESC d print and feed n lines
+          if (segments.length) {
+            flushLine();
+            feedLines(n - 1);
+          } else {
+            feedLines(n);
+          }
+          break;
+        default:
+          // Unknown ESC command: assume one parameter byte
+          break;
+      }
+      i += 3;
+      continue;
+    }
+
+    if (b === GS) {
+      const cmd = buffer[i + 1];
+      const n = buffer[i + 2];
+      if (cmd === 0x21) { // GS ! character size
+        style.width = ((n >> 4) & 0x07) + 1;
+        style.height = (n & 0x07) + 1;
+        i += 3;
+        continue;
+      }
+      if (cmd === 0x42) { // GS B inverse
+        style.inverse = !!(n & 1);
+        i += 3;
+        continue;
+      }
+      if (cmd === 0x56) { // GS V cut (function B takes a feed byte)
+        if (segments.length) flushLine();
+        const partial = [1, 49, 0x42].includes(n);
+        blocks.push({ type: 'cut', partial });
+        i += n === 0x41 || n === 0x42 ? 4 : 3;
+        continue;
+      }
+      if (cmd === 0x68 || cmd === 0x77 || cmd === 0x48) { // GS h / GS w / GS H barcode settings
+        if (cmd === 0x68) bar.height = n;
+        if (cmd === 0x77) bar.moduleWidth = n;
+        if (cmd === 0x48) bar.hri = n & 0x03;
+        i += 3;
+        continue;
+      }
+      if (cmd === 0x6b && n >= 65) { // GS k function B (length-prefixed)
+        const len = buffer[i + 3];
+        let data = buffer.subarray(i + 4, i + 4 + len).toString('latin1');
+        if (n === 73 && data.startsWith('{B')) data = data.slice(2).replace(/\{\{/g, '{');
+        if (segments.length) flushLine();
+        blocks.push({ type: 'barcode', align: style.align, symbology: BARCODE_TYPES[n] || 'unknown', data, ...bar });
+        i += 4 + len;
+        continue;
+      }
+      if (cmd === 0x76 && buffer[i + 2] === 0x30) { // GS v 0 raster image
+        const bytesPerRow = buffer[i + 4] + buffer[i + 5] * 256;
+        const rows = buffer[i + 6] + buffer[i + 7] * 256;
+        const data = buffer.subarray(i + 8, i + 8 + bytesPerRow * rows);
+        if (segments.length) flushLine();
+        blocks.push({ type: 'raster', align: style.align, bytesPerRow, width: bytesPerRow * 8, height: rows, data });
+        i += 8 + bytesPerRow * rows;
+        continue;
+      }
+      if (cmd === 0x28 && buffer[i + 2] === 0x6b) { // GS ( k - 2D code
+        const len = buffer[i + 3] + buffer[i + 4] * 256;
+        const fn = buffer[i + 6];
+        const params = buffer.subarray(i + 7, i + 5 + len);
+        if (fn === 0x43) qr.size = params[0];
+        if (fn === 0x45) qr.level = QR_ERROR_LEVELS[params[0]] || 'M';
+        if (fn === 0x50) qr.data = Buffer.from(params.subarray(1)).toString('utf8');
+        if (fn === 0x51) {
+          if (segments.length) flushLine();
+          blocks.push({ type: 'qr', align: style.align, size: qr.size, level: qr.level, data: qr.data });
+        }
+        i += 5 + len;
+        continue;
+      }
+      // Unknown GS command: assume one parameter byte
+      i += 3;
+      continue;
+    }
+
+    if (b === DLE) { // DLE EOT n real-time status request
+      i += 3;
+      continue;
+    }
+
+    if (b >= 0x20) addBytes(b);
+    i += 1;
+  }
+
+  if (segments.length) flushLine();
+  return blocks;
+}
+
+// ==============================================================================
+// RENDERING
+// ==============================================================================
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function alignOffset(align, contentWidth, paperPx) {
+  if (align === 'center') return Math.max(0, (paperPx - contentWidth) / 2);
+  if (align === 'right') return Math.max(0, paperPx - contentWidth);
+  return 0;
+}
+
+function renderText(block, y, paperPx) {
+  const lineHeight = LINE_H * block.height;
+  const contentWidth = block.segments.reduce((sum, s) => sum + [...s.text].length * s.width * CELL_W, 0);
+  let x = MARGIN + alignOffset(block.align, contentWidth, paperPx);
+  const out = [];
+  for (const seg of block.segments) {
+    const w = [...seg.text].length * seg.width * CELL_W;
+    const segHeight = LINE_H * seg.height;
+    const top = y + lineHeight - segHeight;
+    if (seg.inverse) {
+      out.push(`<rect x="${x}" y="${top}" width="${w}" height="${segHeight}" fill="#000"/>`);
+    }
+    if (seg.text.trim()) {
+      out.push(
+        `<text x="${x}" y="${top + segHeight - 6 * seg.height}" font-size="${20 * seg.height}"` +
+        ` textLength="${w}" lengthAdjust="spacingAndGlyphs"` +
+        `${seg.bold ? ' font-weight="bold"' : ''} fill="${seg.inverse ? '#fff' : '#000'}">${escapeXml(seg.text)}</text>`
+      );
+    }
+    x += w;
+  }
+  return { svg: out.join(''), height: lineHeight };
+}
+
+function renderQr(block, y, paperPx) {
+  if (!block.data) return { svg: '', height: 0 };
+  const qr = QRCode.create(block.data, { errorCorrectionLevel: block.level });
+  const count = qr.modules.size;
+  const size = block.size;
+  const x0 = MARGIN + alignOffset(block.align, count * size, paperPx);
+  const rects = [];
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.modules.get(row, col)) {
+        rects.push(`<rect x="${x0 + col * size}" y="${y + row * size}" width="${size}" height="${size}"/>`);
+      }
+    }
+  }
+  return { svg: `<g fill="#000">${rects.join('')}</g>`, height: count * size };
+}
+
+// Barcode as a string of modules ('1' = bar), or null for unsupported symbologies
+function barcodeModules(symbology, data) {
+  if (symbology === 'ean13' && /^\d{12,13}$/.test(data)) {
+    const digits = [...data.slice(0, 12)].map(Number);
+    const sum = digits.reduce((acc, d, i) => acc + d * (i % 2 ? 3 : 1), 0);
+    digits.push((10 - (sum % 10)) % 10);
+    const parity = EAN_PARITY[digits[0]];
+    const left = digits.slice(1, 7).map((d, i) => (parity[i] === 'L' ? EAN_L : EAN_G)[d]).join('');
+    const right = digits.slice(7).map(d => EAN_R[d]).join('');
+    return { modules: `101${left}01010${right}101`, text: digits.join('') };
+  }
+  if (symbology === 'code128') {
+    const values = [...data].map(ch => ch.charCodeAt(0) - 32).filter(v => v >= 0 && v < 95);
+    const check = values.reduce((acc, v, i) => acc + v * (i + 1), 104) % 103;
+    const modules = [104, ...values, check, 106].map(v => [...CODE128_PATTERNS[v]]
+      .map((w, i) => (i % 2 ? '0' : '1').repeat(Number(w))).join('')).join('');
+    return { modules, text: data };
+  }
+  return null;
+}
+
+function renderBarcode(block, y, paperPx) {
+  const code = barcodeModules(block.symbology, block.data);
+  if (!code) return { svg: '', height: 0 };
+  const w = block.moduleWidth;
+  const x0 = MARGIN + alignOffset(block.align, code.modules.length * w, paperPx);
+  const rects = [];
+  for (const match of code.modules.matchAll(/1+/g)) {
+    rects.push(`<rect x="${x0 + match.index * w}" y="${y}" width="${match[0].length * w}" height="${block.height}"/>`);
+  }
+  let svg = `<g fill="#000">${rects.join('')}</g>`;
+  let height = block.height;
+  if (block.hri) {
+    const center = x0 + (code.modules.length * w) / 2;
+    svg += `<text x="${center}" y="${y + height + LINE_H - 6}" font-size="20" text-anchor="middle">${escapeXml(code.text)}</text>`;
+    height += LINE_H;
+  }
+  return { svg, height };
+}
+
+// One rect per horizontal run of black dots
+function renderRaster(block, y, paperPx) {
+  const x0 = MARGIN + alignOffset(block.align, block.width, paperPx);
+  const rects = [];
+  for (let row = 0; row < block.height; row++) {
+    let start = -1;
+    for (let col = 0; col <= block.width; col++) {
+      const black = col < block.width &&
+        (block.data[row * block.bytesPerRow + (col >> 3)] & (0x80 >> (col & 7)));
+      if (black && start < 0) start = col;
+      if (!black && start >= 0) {
+        rects.push(`<rect x="${x0 + start}" y="${y + row}" width="${col - start}" height="1"/>`);
+        start = -1;
+      }
+    }
+  }
+  return { svg: `<g fill="#000">${rects.join('')}</g>`, height: block.height };
+}
+
+function renderCut(block, y, paperPx) {
+  const mid = y + LINE_H / 2;
+  const label = block.partial ? 'Teilschnitt' : 'Schnitt';
+  return {
+    svg: `<line x1="0" y1="${mid}" x2="${paperPx + MARGIN * 2}" y2="${mid}" stroke="#999" stroke-dasharray="6 4"/>` +
+      `<text x="${MARGIN + paperPx}" y="${mid - 4}" font-size="11" text-anchor="end" fill="#999">✂ ${label}</text>`,
+    height: LINE_H
+  };
+}
+
+/**
+ * Render an ESC/POS buffer as SVG.
+ * @param {Buffer} buffer - Raw printer bytes
+ * @param {Object} options - { paperWidth } characters per line
+ * @returns {string} SVG markup
+ */
+function renderSvg(buffer, { paperWidth = 32 } = {}) {
+  const paperPx = paperWidth * CELL_W;
+  const parts = [];
+  let y = MARGIN;
+  for (const block of interpret(buffer, { paperWidth })) {
+    let result;
+    if (block.type === 'text') result = renderText(block, y, paperPx);
+    else if (block.type === 'feed') result = { svg: '', height: block.lines * LINE_H };
+    else if (block.type === 'qr') result = renderQr(block, y, paperPx);
+    else if (block.type === 'barcode') result = renderBarcode(block, y, paperPx);
+    else if (block.type === 'raster') result = renderRaster(block, y, paperPx);
+    else if (block.type === 'cut') result = renderCut(block, y, paperPx);
+    else continue;
+    parts.push(result.svg);
+    y += result.height;
+  }
+  const width = paperPx + MARGIN * 2;
+  const height = y + MARGIN;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"` +
+    ` font-family="'DejaVu Sans Mono', 'Courier New', monospace" xml:space="preserve">` +
+    `<rect width="100%" height="100%" fill="#fff"/>${parts.join('')}</svg>`;
+}
+
+function renderHtml(buffer, { paperWidth = 32, title = 'Druckvorschau' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>body { background: #444; display: flex; justify-content: center; padding: 24px; margin: 0; } svg { box-shadow: 0 2px 12px rgba(0,0,0,.5); }</style>
+</head>
+<body>${renderSvg(buffer, { paperWidth })}</body>
+</html>`;
+}
+
+function padAligned(str, cells, align, paperWidth) {
+  const free = Math.max(0, paperWidth - cells);
+  if (align === 'center') return ' '.repeat(Math.floor(free / 2)) + str;
+  if (align === 'right') return ' '.repeat(free) + str;
+  return str;
+}
+
+/**
+ * Plain text rendering (for logs and the virtual printer).
+ * Sizes and styles are dropped, QR codes are shown as [QR: data],
+ * barcodes as [||| data], images as [Bild].
+ */
+function renderPlainText(buffer, { paperWidth = 32 } = {}) {
+  const lines = [];
+  for (const block of interpret(buffer, { paperWidth })) {
+    if (block.type === 'text') {
+      // Centered by characters, not cells: the text view has no double width
+      const str = block.segments.map(s => s.text).join('');
+      lines.push(padAligned(str, [...str].length, block.align, paperWidth).replace(/\s+$/, ''));
+    } else if (block.type === 'feed') {
+      for (let n = 0; n < block.lines; n++) lines.push('');
+    } else if (block.type === 'qr') {
+      const str = `[QR: ${block.data}]`;
+      lines.push(padAligned(str, str.length, block.align, paperWidth));
+    } else if (block.type === 'barcode') {
+      const str = `[||| ${block.data}]`;
+      lines.push(padAligned(str, str.length, block.align, paperWidth));
+    } else if (block.type === 'raster') {
+      lines.push(padAligned('[Bild]', 6, block.align, paperWidth));
+    } else if (block.type === 'cut') {
+      lines.push('✂' + '-'.repeat(paperWidth - 1));
+    }
+  }
+  return lines.join('\n');
+}
+
+// PNG via sharp (optional - only available where sharp is installed)
+async function renderPng(buffer, { paperWidth = 32 } = {}) {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch {
+    throw new Error('PNG preview requires the sharp package');
+  }
+  return sharp(Buffer.from(renderSvg(buffer, { paperWidth }))).png().toBuffer();
+}
+
+module.exports = { interpret, renderSvg, renderHtml, renderPng, renderPlainText };
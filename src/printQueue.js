@@ -0,0 +1,192 @@
+/**
+ * Durable print queue.
+ * Every print becomes a job in the db (see db.addPrintJob). Jobs are sent in
+ * order and retried with exponential backoff while the printer is unreachable,
+ * so a print survives paper-outs, power-offs and server restarts.
+ * Before sending, the printer's real-time status is queried: while it reports
+ * paper out / cover open / error the job waits without using up attempts.
+ */
+
+const db = require('./db');
+const { sendToPrinter, getPrinterStatus, describeStatus } = require('./printer');
+
+const POLL_INTERVAL = 15 * 1000;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+const NOT_READY_DELAY = 60 * 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let log = () => {};
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+// Job as returned by the API (without the raw payload)
+function publicJob(job) {
+  if (!job) return null;
+  const { payload, ...rest } = job;
+  return { ...rest, size: payload ? Buffer.from(payload, 'base64').length : 0 };
+}
+
+/**
+ * Queue a print job and start sending it.
+ * @param {Object} job - { type, label, printer: { id, name, host, port }, payload: Buffer }
+ * @returns {Object} The queued job (without payload)
+ */
+function enqueue({ type, label, printer, payload }) {
+  if (!printer || !printer.host) throw new Error('Printer host is missing');
+  const job = db.addPrintJob({ type, label, printer, payload });
+  processQueue();
+  return publicJob(job);
+}
+
+// Printer answered but can't print right now (paper out etc.): wait, keep attempts
+function deferJob(job, status) {
+  const reason = describeStatus(status);
+  if (job.lastError !== reason) {
+    log('warn', `Printer ${job.printerName || job.host} not ready, holding print job: ${job.label}`, reason);
+  }
+  db.updatePrintJob(job.id, {
+    status: 'pending',
+    lastError: reason,
+    nextAttemptAt: new Date(Date.now() + NOT_READY_DELAY).toISOString()
+  });
+}
+
+async function sendJob(job) {
+  db.updatePrintJob(job.id, { status: 'sending' });
+  try {
+    const status = await getPrinterStatus(job.host, job.port);
+    if (status.reachable && !status.ready) {
+      deferJob(job, status);
+      return false;
+    }
+    if (!status.reachable) throw new Error(`Printer error: ${status.error}`);
+    await sendToPrinter(job.host, job.port, Buffer.from(job.payload, 'base64'));
+    db.updatePrintJob(job.id, {
+      status: 'done',
+      attempts: job.attempts + 1,
+      lastError: null,
+      printedAt: new Date().toISOString()
+    });
+    log('info', `Print job done: ${job.label}`);
+    return true;
+  } catch (err) {
+    const attempts = job.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      db.updatePrintJob(job.id, { status: 'failed', attempts, lastError: err.message });
+      log('error', `Print job failed after ${attempts} attempts: ${job.label}`, err.message);
+    } else {
+      const nextAttemptAt = new Date(Date.now() + retryDelay(attempts)).toISOString();
+      db.updatePrintJob(job.id, { status: 'pending', attempts, lastError: err.message, nextAttemptAt });
+      log('warn', `Print job will be retried (attempt ${attempts}/${MAX_ATTEMPTS}): ${job.label}`, err.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Send all due jobs, oldest first. Once a printer fails, its remaining jobs
+ * wait for the next pass so tickets keep their order.
+ */
+async function processQueue() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      const now = new Date().toISOString();
+      const due = db.getPrintJobs(Infinity)
+        .filter(j => j.status === 'pending' && (j.nextAttemptAt || '') <= now)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const failedHosts = new Set();
+      for (const job of due) {
+        const target = `${job.host}:${job.port}`;
+        if (failedHosts.has(target)) continue;
+        // Re-read: the job may have been cancelled while an earlier one was sending
+        const current = db.getPrintJob(job.id);
+        if (!current || current.status !== 'pending') continue;
+        const ok = await sendJob(current);
+        if (!ok) failedHosts.add(target);
+      }
+    } while (rerun);
+  } catch (err) {
+    log('error', 'Print queue failed', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Send a failed or cancelled job again (resets the attempt counter)
+function retryJob(id) {
+  const job = db.getPrintJob(id);
+  if (!job) return null;
+  if (!['failed', 'cancelled', 'pending'].includes(job.status)) {
+    throw new Error(`Job is ${job.status}`);
+  }
+  const updated = db.updatePrintJob(id, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString()
+  });
+  processQueue();
+  return publicJob(updated);
+}
+
+function cancelJob(id) {
+  const job = db.getPrintJob(id);
+  if (!job) return null;
+  if (!['pending', 'failed'].includes(job.status)) {
+    throw new Error(`Job is ${job.status}`);
+  }
+  return publicJob(db.updatePrintJob(id, { status: 'cancelled' }));
+}
+
+// Queue a copy of a job (same payload and printer)
+function reprintJob(id) {
+  const job = db.getPrintJob(id);
+  if (!job) return null;
+  return enqueue({
+    type: job.type,
+    label: job.label,
+    printer: { id: job.printerId, name: job.printerName, host: job.host, port: job.port },
+    payload: Buffer.from(job.payload, 'base64')
+  });
+}
+
+function getJobs(limit = 50) {
+  return db.getPrintJobs(limit).map(publicJob);
+}
+
+/**
+ * Start polling for due jobs.
+ * Jobs left in "sending" by a crash/restart are queued again.
+ * @param {Function} logFn - (level, msg, extra) logger
+ */
+function startQueue(logFn) {
+  if (logFn) log = logFn;
+  db.getPrintJobs(Infinity)
+    .filter(j => j.status === 'sending')
+    .forEach(j => db.updatePrintJob(j.id, { status: 'pending' }));
+  clearInterval(timer);
+  timer = setInterval(processQueue, POLL_INTERVAL);
+  processQueue();
+}
+
+module.exports = {
+  enqueue,
+  processQueue,
+  retryJob,
+  cancelJob,
+  reprintJob,
+  getJobs,
+  startQueue,
+  MAX_ATTEMPTS
+};
@@ -1,21 +1,52 @@
 const net = require('net');
-const { printerPort } = require('./config');
+const config = require('./config');
+const { encodeText } = require('./codepages');
+const { getImage, combineHorizontal } = require('./images');
 
 const ESC = 0x1b;
 const GS = 0x1d;
+const DLE = 0x10;
+const EOT = 0x04;
+
+// Printer profiles (selected via config.printerProfile):
+// - paperWidth: characters per line at normal size (58mm = 32, 80mm = 48)
+// - codePage: ESC t table selected on init (16 = Windows-1252)
+// - codePages: all ESC t tables the printer supports (see codepages.js), used for
+//   characters missing from codePage (e.g. 18 = PC852 for Polish, 17 = PC866 for Cyrillic)
+// - cut: 'partial' (feed + partial cut), 'full' (feed + full cut) or 'none'
+// - qr / maxQrSize: GS ( k support and the largest module size that fits the paper
+// - dotWidth: printable width in dots for raster images (GS v 0) and barcodes
+// - barcode: GS k support (EAN-13 / Code128)
+const PRINTER_PROFILES = {
+  '58mm': { name: '58mm (32 Zeichen)', paperWidth: 32, codePage: 16, codePages: [16, 19, 18, 17], cut: 'partial', qr: true, maxQrSize: 10, dotWidth: 384, barcode: true },
+  '80mm': { name: '80mm (48 Zeichen)', paperWidth: 48, codePage: 16, codePages: [16, 19, 18, 17], cut: 'partial', qr: true, maxQrSize: 16, dotWidth: 576, barcode: true },
+  '58mm-basic': { name: '58mm ohne QR/Teilschnitt', paperWidth: 32, codePage: 16, codePages: [16], cut: 'full', qr: false, maxQrSize: 0, dotWidth: 384, barcode: true }
+};
+
+const DEFAULT_PROFILE = '58mm';
+
+function getPrinterProfile(id = config.printerProfile) {
+  const key = PRINTER_PROFILES[id] ? id : DEFAULT_PROFILE;
+  return { id: key, ...PRINTER_PROFILES[key] };
+}
 
-// Character width for 58mm paper (32 chars) or 80mm paper (48 chars)
-const PAPER_WIDTH = 32;
+// Images per ticket type (config.ticketImages):
+// - logo: image printed as header (see images.js for names)
+// - priorityIcon: "!" icon above the title of high-priority tasks (single ticket)
+// - labelIcons: icons for labels mapped in config.labelIcons (single ticket)
+function getTicketImages(type) {
+  return { logo: '', priorityIcon: false, labelIcons: false, ...((config.ticketImages || {})[type] || {}) };
+}
 
 // ==============================================================================
 // LOW-LEVEL COMMANDS
 // ==============================================================================
 
-function init() {
-  // Initialize + set code page 1252 (Windows Western European)
+function init(profile = getPrinterProfile()) {
+  // Initialize + select the profile's code page (16 = Windows-1252)
   return Buffer.from([
-    ESC, 0x40,       // Initialize
-    ESC, 0x74, 16    // Select code page 1252 (Windows-1252)
+    ESC, 0x40,                  // Initialize
+    ESC, 0x74, profile.codePage // Select code page
   ]);
 }
 
@@ -38,47 +69,100 @@ function inverse(on) {
   return Buffer.from([GS, 0x42, on ? 0x01 : 0x00]);
 }
 
-// Convert text to buffer with German umlaut support
-// Try Windows-1252 encoding first, fallback to replacing umlauts
-function text(str) {
-  // Replace German umlauts with their Windows-1252 byte values
-  const mapped = str
-    .replace(/ä/g, '\xe4')
-    .replace(/ö/g, '\xf6')
-    .replace(/ü/g, '\xfc')
-    .replace(/Ä/g, '\xc4')
-    .replace(/Ö/g, '\xd6')
-    .replace(/Ü/g, '\xdc')
-    .replace(/ß/g, '\xdf');
-  return Buffer.from(mapped, 'binary');
+// Encode text in the profile's code pages (switching tables / transliterating as needed)
+function text(str, profile = getPrinterProfile()) {
+  return encodeText(str, profile);
 }
 
 function feed(lines = 1) {
   return Buffer.from([ESC, 0x64, Math.min(255, Math.max(0, lines))]);
 }
 
-function cut() {
-  return Buffer.from([GS, 0x56, 0x42, 0x00]);
+function cut(profile = getPrinterProfile()) {
+  switch (profile.cut) {
+    case 'none':
+      return Buffer.alloc(0);
+    case 'full':
+      return Buffer.from([GS, 0x56, 0x41, 0x00]);
+    case 'partial':
+    default:
+      return Buffer.from([GS, 0x56, 0x42, 0x00]);
+  }
 }
 
-function hr(char = '-', length = PAPER_WIDTH) {
+function hr(char = '-', length = getPrinterProfile().paperWidth) {
   return Buffer.from(char.repeat(length) + '\n', 'binary');
 }
 
-function qrCode(data, { size = 6 } = {}) {
-  const s = String(data || 'NA');
+function qrCode(data, { size = 6, profile = getPrinterProfile() } = {}) {
+  if (!profile.qr) return Buffer.alloc(0);
+  // QR payload is UTF-8 (SSIDs, titles with umlauts), independent of the code page
+  const bytes = Buffer.from(String(data || 'NA'), 'utf8');
+  const moduleSize = Math.min(profile.maxQrSize || 16, Math.max(1, size));
   const setError = Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 48]);
-  const setSize = Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, Math.min(16, Math.max(1, size))]);
+  const setSize = Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]);
   const store = Buffer.concat([
     Buffer.from([GS, 0x28, 0x6b]),
-    Buffer.from([(s.length + 3) & 0xff, ((s.length + 3) >> 8) & 0xff]),
+    Buffer.from([(bytes.length + 3) & 0xff, ((bytes.length + 3) >> 8) & 0xff]),
     Buffer.from([0x31, 0x50, 0x30]),
-    Buffer.from(s, 'ascii')
+    bytes
   ]);
   const print = Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]);
   return Buffer.concat([setError, setSize, store, print]);
 }
 
+// EAN-13 check digit for the first 12 digits
+function ean13CheckDigit(digits) {
+  const sum = [...digits.slice(0, 12)].reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Barcode symbology for a code: 'ean13' for 12 digits or 13 digits with a
+ * valid check digit, 'code128' for other printable ASCII (max 40 chars),
+ * null if it can't be printed (e.g. an EAN-13 with a typo in it).
+ */
+function barcodeType(code) {
+  const str = String(code || '').trim();
+  if (/^\d{12}$/.test(str)) return 'ean13';
+  if (/^\d{13}$/.test(str)) return ean13CheckDigit(str) === Number(str[12]) ? 'ean13' : null;
+  if (/^[\x20-\x7e]{1,40}$/.test(str)) return 'code128';
+  return null;
+}
+
+// Barcode (GS k) with the digits printed below.
+// Codes too wide for the paper are printed as text only.
+function barcode(code, { height = 80, profile = getPrinterProfile() } = {}) {
+  const str = String(code || '').trim();
+  const type = barcodeType(str);
+  if (!type) return Buffer.alloc(0);
+  // Width in modules incl. start/check/stop (EAN-13 is fixed at 95)
+  const modules = type === 'ean13' ? 95 : 11 * (str.length + 2) + 13;
+  const moduleWidth = Math.min(3, Math.floor(profile.dotWidth / modules));
+  if (!profile.barcode || moduleWidth < 2) return text(str + '\n', profile);
+  const data = type === 'ean13'
+    ? Buffer.from(str.slice(0, 12), 'ascii') // printer adds the check digit
+    : Buffer.from('{B' + str.replace(/\{/g, '{{'), 'ascii'); // Code set B, '{' is the escape char
+  return Buffer.concat([
+    Buffer.from([GS, 0x68, Math.min(255, Math.max(1, height))]), // Height in dots
+    Buffer.from([GS, 0x77, moduleWidth]),                        // Module width
+    Buffer.from([GS, 0x48, 0x02]),                               // Digits below
+    Buffer.from([GS, 0x6b, type === 'ean13' ? 67 : 73, data.length]),
+    data
+  ]);
+}
+
+// Raster image (GS v 0), printed at the current alignment.
+// Images wider than the paper are skipped.
+function rasterImage(img, profile = getPrinterProfile()) {
+  if (!img || img.width > profile.dotWidth) return Buffer.alloc(0);
+  const bytesPerRow = Math.ceil(img.width / 8);
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xff, bytesPerRow >> 8, img.height & 0xff, img.height >> 8]),
+    img.data
+  ]);
+}
+
 // ==============================================================================
 // TEXT PROCESSING
 // ==============================================================================
@@ -112,25 +196,33 @@ function cleanText(str) {
 // SINGLE TASK PRINT (HYPE MODE)
 // ==============================================================================
 
-function buildSingleTaskTicket(task) {
+function buildSingleTaskTicket(task, { profile = getPrinterProfile(), images = getTicketImages('single') } = {}) {
+  const width = profile.paperWidth;
   const parts = [];
-  parts.push(init());
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
 
   // ========== TOP BANNER ==========
   parts.push(align('center'));
   parts.push(inverse(true));
   parts.push(textSize(2, 2));
-  parts.push(text(' * DO IT! * \n'));
+  parts.push(text(' * DO IT! * \n', profile));
   parts.push(textSize(1, 1));
   parts.push(inverse(false));
   parts.push(feed(1));
 
+  // ========== PRIORITY ==========
+  if (images.priorityIcon && isHighPriority(task)) {
+    parts.push(rasterImage(getImage('exclamation', 'icon'), profile));
+    parts.push(feed(1));
+  }
+
   // ========== TASK TITLE (BIG) ==========
   const title = cleanTitle(task.title).toUpperCase();
   
   // Use 2x size for longer titles, 3x for short ones
   const useSize = title.length > 20 ? 2 : 3;
-  const maxCharsPerLine = Math.floor(PAPER_WIDTH / useSize);
+  const maxCharsPerLine = Math.floor(width / useSize);
   
   parts.push(textSize(useSize, useSize));
   parts.push(emphasis(true));
@@ -138,51 +230,100 @@ function buildSingleTaskTicket(task) {
   // Wrap title - never break words
   const titleLines = wrapTextNoBreak(title, maxCharsPerLine);
   for (const line of titleLines) {
-    parts.push(text(line + '\n'));
+    parts.push(text(line + '\n', profile));
   }
   
   parts.push(emphasis(false));
   parts.push(textSize(1, 1));
   parts.push(feed(1));
 
+  // ========== ASSIGNEE / RECURRENCE / PRIORITY ==========
+  const meta = taskMeta(task);
+  if (meta.length) {
+    for (const line of wrapTextNoBreak(meta.join(' · '), width)) {
+      parts.push(text(line + '\n', profile));
+    }
+    parts.push(feed(1));
+  }
+
   // ========== LABELS ==========
   if (task.labels && task.labels.length) {
     const cleanLabels = task.labels.map(l => cleanTitle(l));
-    parts.push(text('[' + cleanLabels.join('] [') + ']\n'));
+    if (images.labelIcons) {
+      const iconMap = config.labelIcons || {};
+      const icons = cleanLabels.map(l => getImage(iconMap[l], 'label'));
+      parts.push(rasterImage(combineHorizontal(icons), profile));
+    }
+    parts.push(text('[' + cleanLabels.join('] [') + ']\n', profile));
     parts.push(feed(1));
   }
 
   // ========== DESCRIPTION ==========
   if (task.description) {
-    parts.push(hr('-'));
+    parts.push(hr('-', width));
     parts.push(align('center'));
     const desc = cleanText(task.description);
-    const descLines = wrapTextNoBreak(desc, PAPER_WIDTH);
+    const descLines = wrapTextNoBreak(desc, width);
     for (const dl of descLines) {
-      parts.push(text(dl + '\n'));
+      parts.push(text(dl + '\n', profile));
     }
     parts.push(feed(1));
   }
 
   // ========== QR CODE ==========
-  parts.push(hr('='));
-  parts.push(align('center'));
-  // Include "donotick:" prefix so scanner knows which system this belongs to
-  parts.push(qrCode(`donotick:${task.id || task.title}`, { size: 8 }));
+  // Signed one-time link from taskLinks.js: scan and tap to complete
+  // (none without publicBaseUrl and for trash reminders)
+  if (profile.qr && task.completeUrl) {
+    parts.push(hr('=', width));
+    parts.push(align('center'));
+    parts.push(qrCode(task.completeUrl, { size: 6, profile }));
+    parts.push(text('Scannen zum Abhaken\n', profile));
+  }
   
   parts.push(feed(3));
-  parts.push(cut());
+  parts.push(cut(profile));
   
   return Buffer.concat(parts);
 }
 
+// ==============================================================================
+// MEMBER BANNER (HEAD OF A PERSONAL MORNING BUNDLE)
+// ==============================================================================
+
+function buildMemberBannerTicket(name, taskCount, { profile = getPrinterProfile() } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+
+  parts.push(align('center'));
+  parts.push(hr('=', width));
+  parts.push(inverse(true));
+  parts.push(textSize(2, 2));
+  // 2x width, plus a space on each side of the inverse block
+  for (const line of wrapTextNoBreak(cleanTitle(name).toUpperCase(), Math.floor(width / 2) - 2)) {
+    parts.push(text(` ${line} \n`, profile));
+  }
+  parts.push(textSize(1, 1));
+  parts.push(inverse(false));
+  parts.push(feed(1));
+  parts.push(text(`${taskCount} ${taskCount === 1 ? 'Aufgabe' : 'Aufgaben'} für heute\n`, profile));
+  parts.push(hr('=', width));
+
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
+}
+
 // ==============================================================================
 // DAILY SUMMARY PRINT (DENSE)
 // ==============================================================================
 
-function buildDailySummaryTicket(tasks) {
+function buildDailySummaryTicket(tasks, { profile = getPrinterProfile(), images = getTicketImages('daily') } = {}) {
+  const width = profile.paperWidth;
   const parts = [];
-  parts.push(init());
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
 
   const now = new Date();
   const dateStr = formatDate(now);
@@ -191,46 +332,133 @@ function buildDailySummaryTicket(tasks) {
   parts.push(align('center'));
   parts.push(inverse(true));
   parts.push(textSize(2, 1));
-  parts.push(text(` HEUTE ${dateStr} `));
+  parts.push(text(` HEUTE ${dateStr} `, profile));
   parts.push(textSize(1, 1));
-  parts.push(text('\n'));
+  parts.push(text('\n', profile));
   parts.push(inverse(false));
   parts.push(feed(1));
 
   // ========== TASK COUNT ==========
   parts.push(align('left'));
-  parts.push(text(`${tasks.length} Aufgaben\n`));
-  parts.push(hr('-'));
+  parts.push(text(`${tasks.length} Aufgaben\n`, profile));
+  parts.push(hr('-', width));
 
   // ========== TASK LIST ==========
-  tasks.forEach((task) => {
-    const title = cleanTitle(task.title);
-    
-    // Wrap long titles properly
-    if (title.length <= PAPER_WIDTH - 2) {
-      parts.push(emphasis(true));
-      parts.push(text(`- ${title}\n`));
-      parts.push(emphasis(false));
-    } else {
-      const lines = wrapTextNoBreak(title, PAPER_WIDTH - 2);
-      parts.push(emphasis(true));
-      parts.push(text(`- ${lines[0]}\n`));
-      parts.push(emphasis(false));
-      for (let i = 1; i < lines.length; i++) {
-        parts.push(text(`  ${lines[i]}\n`));
+  tasks.forEach((task) => pushTaskEntry(parts, task, profile, true));
+
+  parts.push(hr('-', width));
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
+}
+
+// ==============================================================================
+// EVENING REPORT (PRINTED TASKS STILL OPEN)
+// ==============================================================================
+
+function buildEveningReportTicket(tasks, { profile = getPrinterProfile(), images = getTicketImages('evening') } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
+
+  // ========== HEADER ==========
+  parts.push(align('center'));
+  parts.push(inverse(true));
+  parts.push(textSize(2, 1));
+  parts.push(text(' NOCH OFFEN ', profile));
+  parts.push(textSize(1, 1));
+  parts.push(text('\n', profile));
+  parts.push(inverse(false));
+  parts.push(text(`Heute früh gedruckt, ${formatDate(new Date())}.\n`, profile));
+  parts.push(feed(1));
+
+  // ========== TASK LIST ==========
+  parts.push(align('left'));
+  parts.push(text(`${tasks.length} ${tasks.length === 1 ? 'Aufgabe' : 'Aufgaben'}\n`, profile));
+  parts.push(hr('-', width));
+  tasks.forEach((task) => pushTaskEntry(parts, task, profile, true));
+
+  parts.push(hr('-', width));
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
+}
+
+// ==============================================================================
+// DAILY BRIEFING PRINT (AGENDA + AI SUMMARY + TASKS)
+// ==============================================================================
+
+function buildDailyBriefingTicket(tasks, { events = [], expiring = [], summary = null, profile = getPrinterProfile(), images = getTicketImages('briefing') } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
+
+  const now = new Date();
+  const dayNames = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+  // ========== HEADER ==========
+  parts.push(align('center'));
+  parts.push(inverse(true));
+  parts.push(textSize(2, 1));
+  parts.push(text(' TAGESBRIEFING ', profile));
+  parts.push(textSize(1, 1));
+  parts.push(text('\n', profile));
+  parts.push(inverse(false));
+  parts.push(text(`${dayNames[now.getDay()]}, ${formatDate(now)}.\n`, profile));
+  parts.push(feed(1));
+
+  // ========== AI SUMMARY ==========
+  if (summary) {
+    parts.push(align('left'));
+    for (const line of cleanText(summary).split('\n')) {
+      for (const wrapped of wrapTextNoBreak(line, width)) {
+        parts.push(text(wrapped + '\n', profile));
       }
     }
-    
-    // Labels (all of them)
-    if (task.labels && task.labels.length) {
-      const cleanLabels = task.labels.map(l => cleanTitle(l));
-      parts.push(text(`  [${cleanLabels.join('] [')}]\n`));
-    }
-  });
+    parts.push(feed(1));
+  }
+
+  // ========== AGENDA ==========
+  parts.push(align('left'));
+  parts.push(inverse(true));
+  parts.push(text(' TERMINE ', profile));
+  parts.push(inverse(false));
+  parts.push(text(` (${events.length})\n`, profile));
+  if (events.length) {
+    events.forEach((event) => pushEventEntry(parts, event, profile));
+  } else {
+    parts.push(text('Keine Termine\n', profile));
+  }
+  parts.push(feed(1));
+
+  // ========== TASKS ==========
+  parts.push(inverse(true));
+  parts.push(text(' AUFGABEN ', profile));
+  parts.push(inverse(false));
+  parts.push(text(` (${tasks.length})\n`, profile));
+  if (tasks.length) {
+    tasks.forEach((task) => pushTaskEntry(parts, task, profile, true));
+  } else {
+    parts.push(text('Keine Aufgaben\n', profile));
+  }
+
+  // ========== PANTRY: EXPIRING ==========
+  if (expiring.length) {
+    parts.push(feed(1));
+    parts.push(inverse(true));
+    parts.push(text(' LÄUFT AB ', profile));
+    parts.push(inverse(false));
+    parts.push(text(` (${expiring.length})\n`, profile));
+    expiring.forEach((item) => pushExpiringEntry(parts, item, now, profile));
+  }
 
-  parts.push(hr('-'));
+  parts.push(hr('-', width));
   parts.push(feed(3));
-  parts.push(cut());
+  parts.push(cut(profile));
 
   return Buffer.concat(parts);
 }
@@ -239,9 +467,11 @@ function buildDailySummaryTicket(tasks) {
 // WEEKLY SUMMARY PRINT (GROUPED BY DAY)
 // ==============================================================================
 
-function buildWeeklySummaryTicket(tasks, weekRange) {
+function buildWeeklySummaryTicket(tasks, weekRange, { events = [], dinners = {}, summary = null, profile = getPrinterProfile(), images = getTicketImages('weekly') } = {}) {
+  const width = profile.paperWidth;
   const parts = [];
-  parts.push(init());
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
 
   const cleanRange = cleanText(weekRange);
 
@@ -249,19 +479,30 @@ function buildWeeklySummaryTicket(tasks, weekRange) {
   parts.push(align('center'));
   parts.push(inverse(true));
   parts.push(textSize(1, 2));
-  parts.push(text(' WOCHENPLAN \n'));
+  parts.push(text(' WOCHENPLAN \n', profile));
   parts.push(textSize(1, 1));
-  parts.push(text(` ${cleanRange} \n`));
+  parts.push(text(` ${cleanRange} \n`, profile));
   parts.push(inverse(false));
   parts.push(feed(1));
 
-  const grouped = groupTasksByDay(tasks);
+  // ========== AI WEEK OVERVIEW ==========
+  if (summary) {
+    parts.push(align('left'));
+    for (const line of cleanText(summary).split('\n')) {
+      for (const wrapped of wrapTextNoBreak(line, width)) {
+        parts.push(text(wrapped + '\n', profile));
+      }
+    }
+    parts.push(hr('-', width));
+  }
+
+  const grouped = groupByDay(tasks, events, dinners);
   const dayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
   let totalCount = 0;
 
-  // ========== TASKS BY DAY ==========
-  for (const [dateKey, dayTasks] of Object.entries(grouped)) {
-    if (!dayTasks.length) continue;
+  // ========== DINNER + EVENTS + TASKS BY DAY ==========
+  for (const [dateKey, day] of Object.entries(grouped)) {
+    if (!day.tasks.length && !day.events.length && !day.dinner) continue;
     
     const date = new Date(dateKey + 'T00:00:00');
     const dayName = dayNames[date.getDay()];
@@ -270,29 +511,20 @@ function buildWeeklySummaryTicket(tasks, weekRange) {
     
     parts.push(align('left'));
     parts.push(inverse(true));
-    parts.push(text(` ${dayName} ${dayNum}.${monthNum} `));
+    parts.push(text(` ${dayName} ${dayNum}.${monthNum} `, profile));
     parts.push(inverse(false));
-    parts.push(text(` (${dayTasks.length})\n`));
+    parts.push(text(day.tasks.length ? ` (${day.tasks.length})\n` : '\n', profile));
     
-    for (const task of dayTasks) {
-      const title = cleanTitle(task.title);
-      
-      // Print title (wrap if needed)
-      if (title.length <= PAPER_WIDTH - 2) {
-        parts.push(text(`- ${title}\n`));
-      } else {
-        const lines = wrapTextNoBreak(title, PAPER_WIDTH - 2);
-        parts.push(text(`- ${lines[0]}\n`));
-        for (let i = 1; i < lines.length; i++) {
-          parts.push(text(`  ${lines[i]}\n`));
-        }
-      }
-      
-      // Print all labels on next line
-      if (task.labels && task.labels.length) {
-        const cleanLabels = task.labels.map(l => cleanTitle(l));
-        parts.push(text(`  [${cleanLabels.join('] [')}]\n`));
-      }
+    // Planned dinner right under the day header
+    if (day.dinner) {
+      pushDinnerEntry(parts, day.dinner, profile);
+    }
+    // Agenda first (sorted by time), then the tasks of that day
+    for (const event of day.events) {
+      pushEventEntry(parts, event, profile);
+    }
+    for (const task of day.tasks) {
+      pushTaskEntry(parts, task, profile);
       totalCount++;
     }
     parts.push(feed(1));
@@ -302,39 +534,28 @@ function buildWeeklySummaryTicket(tasks, weekRange) {
   const noDueTasks = tasks.filter(t => !t.due);
   if (noDueTasks.length) {
     parts.push(inverse(true));
-    parts.push(text(' OHNE DATUM '));
+    parts.push(text(' OHNE DATUM ', profile));
     parts.push(inverse(false));
-    parts.push(text(` (${noDueTasks.length})\n`));
+    parts.push(text(` (${noDueTasks.length})\n`, profile));
     for (const task of noDueTasks) {
-      const title = cleanTitle(task.title);
-      if (title.length <= PAPER_WIDTH - 2) {
-        parts.push(text(`- ${title}\n`));
-      } else {
-        const lines = wrapTextNoBreak(title, PAPER_WIDTH - 2);
-        parts.push(text(`- ${lines[0]}\n`));
-        for (let i = 1; i < lines.length; i++) {
-          parts.push(text(`  ${lines[i]}\n`));
-        }
-      }
-      // Print all labels
-      if (task.labels && task.labels.length) {
-        const cleanLabels = task.labels.map(l => cleanTitle(l));
-        parts.push(text(`  [${cleanLabels.join('] [')}]\n`));
-      }
+      pushTaskEntry(parts, task, profile);
       totalCount++;
     }
     parts.push(feed(1));
   }
 
   // ========== FOOTER ==========
-  parts.push(hr('='));
+  parts.push(hr('=', width));
   parts.push(align('center'));
   parts.push(emphasis(true));
-  parts.push(text(`GESAMT: ${totalCount} Aufgaben\n`));
+  parts.push(text(`GESAMT: ${totalCount} Aufgaben\n`, profile));
   parts.push(emphasis(false));
+  if (events.length) {
+    parts.push(text(`${events.length} Termine\n`, profile));
+  }
 
   parts.push(feed(3));
-  parts.push(cut());
+  parts.push(cut(profile));
 
   return Buffer.concat(parts);
 }
@@ -343,6 +564,135 @@ function buildWeeklySummaryTicket(tasks, weekRange) {
 // HELPER FUNCTIONS
 // ==============================================================================
 
+// Logo header (centered) if the ticket type has one configured
+function pushLogo(parts, images, profile) {
+  const logo = getImage(images.logo, 'logo');
+  if (!logo) return;
+  parts.push(align('center'));
+  parts.push(rasterImage(logo, profile));
+  parts.push(feed(1));
+}
+
+// Donotick priority 1 (P1) is the most urgent
+function isHighPriority(task) {
+  return Number(task.priority) === 1;
+}
+
+// "***" for P1, "**" for P2, "*" for P3 (P4 and no priority: none)
+function priorityStars(task) {
+  const priority = Number(task.priority);
+  return priority >= 1 && priority <= 3 ? '*'.repeat(4 - priority) : '';
+}
+
+// Who, how often, how urgent: ["für Anna", "alle 3 Tage", "***"]
+function taskMeta(task) {
+  const meta = [];
+  if (task.assignee) meta.push(`für ${cleanTitle(task.assignee)}`);
+  if (task.recurrence && task.recurrence !== 'einmalig') meta.push(task.recurrence);
+  const stars = priorityStars(task);
+  if (stars) meta.push(stars);
+  return meta;
+}
+
+// Task line: "- Title" (wrapped with indent) followed by all labels
+function pushTaskEntry(parts, task, profile, bold = false) {
+  const width = profile.paperWidth;
+  const title = cleanTitle(task.title);
+  const lines = wrapTextNoBreak(title, width - 2);
+  if (bold) parts.push(emphasis(true));
+  parts.push(text(`- ${lines[0] || ''}\n`, profile));
+  if (bold) parts.push(emphasis(false));
+  for (let i = 1; i < lines.length; i++) {
+    parts.push(text(`  ${lines[i]}\n`, profile));
+  }
+
+  const meta = taskMeta(task);
+  if (meta.length) {
+    for (const line of wrapTextNoBreak(meta.join(' · '), width - 2)) {
+      parts.push(text(`  ${line}\n`, profile));
+    }
+  }
+
+  if (task.labels && task.labels.length) {
+    const cleanLabels = task.labels.map(l => cleanTitle(l));
+    parts.push(text(`  [${cleanLabels.join('] [')}]\n`, profile));
+  }
+}
+
+// "<prefix>Name      quantity", wrapped lines indented under the name.
+// If the quantity doesn't fit next to the name (long quantity, narrow
+// paper, unbreakable word) it goes right-aligned on a line of its own.
+function pushQuantityLine(parts, prefix, name, quantity, profile) {
+  const width = profile.paperWidth;
+  const indent = ' '.repeat(prefix.length);
+  const besideWidth = width - prefix.length - (quantity ? quantity.length + 1 : 0);
+  const beside = besideWidth >= 8;
+  const lines = wrapTextNoBreak(cleanTitle(name), beside ? besideWidth : width - prefix.length);
+  const first = `${prefix}${lines[0] || ''}`;
+  const inline = quantity && beside && first.length + 1 + quantity.length <= width;
+  parts.push(text(`${first}${inline ? quantity.padStart(width - first.length) : ''}\n`, profile));
+  for (let i = 1; i < lines.length; i++) {
+    parts.push(text(`${indent}${lines[i]}\n`, profile));
+  }
+  if (quantity && !inline) parts.push(text(`${quantity.padStart(width)}\n`, profile));
+}
+
+// Shopping line: "[ ] Name           2x Packung" (name wrapped below the checkbox)
+function pushShoppingEntry(parts, item, profile) {
+  pushQuantityLine(parts, '[ ] ', item.name, cleanText(item.quantity || ''), profile);
+  if (item.barcode) {
+    parts.push(align('center'));
+    parts.push(barcode(item.barcode, { height: 48, profile }));
+    parts.push(align('left'));
+  }
+}
+
+// Ingredient line: "- name" with the quantity right-aligned, wrapped lines indented
+function pushIngredientEntry(parts, ingredient, profile) {
+  pushQuantityLine(parts, '- ', ingredient.name, cleanText(ingredient.quantity || ''), profile);
+}
+
+// Event line: "08:30  Title" or "ganzt. Title", location indented below
+function pushEventEntry(parts, event, profile) {
+  const width = profile.paperWidth;
+  const indent = ' '.repeat(7);
+  const time = event.allDay ? 'ganzt.' : formatTime(event.start);
+  const lines = wrapTextNoBreak(cleanTitle(event.summary), width - indent.length);
+  parts.push(text(`${time.padEnd(6)} ${lines[0] || ''}\n`, profile));
+  for (let i = 1; i < lines.length; i++) {
+    parts.push(text(`${indent}${lines[i]}\n`, profile));
+  }
+  if (event.location) {
+    const locLines = wrapTextNoBreak(`@ ${cleanText(event.location)}`, width - indent.length);
+    for (const line of locLines) {
+      parts.push(text(`${indent}${line}\n`, profile));
+    }
+  }
+}
+
+// Expiry line: "heute  Joghurt (2x Becher)", "morgen ..." or "abgel. ..." for past dates
+function pushExpiringEntry(parts, item, now, profile) {
+  const indent = ' '.repeat(7);
+  const today = dateKey(now);
+  const when = item.expiresAt < today ? 'abgel.' : (item.expiresAt === today ? 'heute' : 'morgen');
+  const label = item.quantity ? `${cleanTitle(item.name)} (${cleanText(item.quantity)})` : cleanTitle(item.name);
+  const lines = wrapTextNoBreak(label, profile.paperWidth - indent.length);
+  parts.push(text(`${when.padEnd(6)} ${lines[0] || ''}\n`, profile));
+  for (let i = 1; i < lines.length; i++) {
+    parts.push(text(`${indent}${lines[i]}\n`, profile));
+  }
+}
+
+// Dinner line: "Essen  Name", aligned with the event lines
+function pushDinnerEntry(parts, name, profile) {
+  const indent = ' '.repeat(7);
+  const lines = wrapTextNoBreak(cleanTitle(name), profile.paperWidth - indent.length);
+  parts.push(text(`Essen  ${lines[0] || ''}\n`, profile));
+  for (let i = 1; i < lines.length; i++) {
+    parts.push(text(`${indent}${lines[i]}\n`, profile));
+  }
+}
+
 // Wrap text without breaking words - if a word is too long, keep it whole
 function wrapTextNoBreak(str, maxLen) {
   const result = [];
@@ -375,18 +725,49 @@ function formatDate(d) {
   return `${day}.${month}`;
 }
 
-function groupTasksByDay(tasks) {
+function formatTime(d) {
+  const date = new Date(d);
+  if (isNaN(date)) return '--:--';
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Local YYYY-MM-DD key (toISOString would shift late events into the previous day)
+function dateKey(d) {
+  const date = new Date(d);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// dinners: { 'YYYY-MM-DD': name } from the meal plan
+function groupByDay(tasks, events = [], dinners = {}) {
   const groups = {};
+  const ensure = (key) => {
+    if (!groups[key]) groups[key] = { tasks: [], events: [], dinner: null };
+    return groups[key];
+  };
+  for (const [key, name] of Object.entries(dinners)) {
+    ensure(key).dinner = name;
+  }
   for (const task of tasks) {
     if (!task.due) continue;
     const date = new Date(task.due);
     if (isNaN(date)) continue;
-    const key = date.toISOString().slice(0, 10);
-    if (!groups[key]) groups[key] = [];
-    groups[key].push(task);
+    ensure(dateKey(date)).tasks.push(task);
+  }
+  for (const event of events) {
+    const date = new Date(event.start);
+    if (isNaN(date)) continue;
+    ensure(dateKey(date)).events.push(event);
   }
   const sorted = {};
-  Object.keys(groups).sort().forEach(k => { sorted[k] = groups[k]; });
+  Object.keys(groups).sort().forEach(k => {
+    // All-day events first, then by start time
+    groups[k].events.sort((a, b) => (b.allDay ? 1 : 0) - (a.allDay ? 1 : 0) || new Date(a.start) - new Date(b.start));
+    sorted[k] = groups[k];
+  });
   return sorted;
 }
 
@@ -394,36 +775,58 @@ function groupTasksByDay(tasks) {
 // MAIN PRINT FUNCTION
 // ==============================================================================
 
-async function printTasks(params) {
+// Build the ESC/POS payload for a task print (single/daily/briefing/weekly/evening) or the shopping list
+function buildPrintPayload(params) {
   const {
-    host,
-    port = printerPort,
     tasks,
     headerTitle,
     compact = false,
     mode,
-    weekRange
+    weekRange,
+    events = [],
+    dinners = {},
+    expiring = [],
+    summary = null
   } = params;
+  const profile = getPrinterProfile(params.profile);
+
+  // Shopping list: { mode: 'shopping', sections } instead of tasks
+  if (mode === 'shopping') {
+    if (!Array.isArray(params.sections) || !params.sections.length) throw new Error('Shopping list is empty');
+    return buildShoppingListTicket(params.sections, {
+      title: headerTitle, store: params.store, suggestions: params.suggestions || [], profile, images: getTicketImages('shopping')
+    });
+  }
   
-  if (!host) throw new Error('Printer host is missing');
-  if (!Array.isArray(tasks) || tasks.length === 0) throw new Error('No tasks to print');
+  if (!Array.isArray(tasks)) throw new Error('No tasks to print');
 
-  let payload;
   const printMode = mode || (compact ? 'daily' : (tasks.length === 1 ? 'single' : 'daily'));
 
+  // Briefing and weekly still make sense without tasks (agenda + summary only)
+  const hasContent = tasks.length > 0 || printMode === 'briefing' ||
+    (printMode === 'weekly' && (events.length > 0 || Object.keys(dinners).length > 0));
+  if (!hasContent) throw new Error('No tasks to print');
+
   switch (printMode) {
     case 'single':
-      payload = Buffer.concat(tasks.map(t => buildSingleTaskTicket(t)));
-      break;
+      return Buffer.concat(tasks.map(t => buildSingleTaskTicket(t, { profile, images: getTicketImages('single') })));
+    case 'evening':
+      return buildEveningReportTicket(tasks, { profile, images: getTicketImages('evening') });
+    case 'briefing':
+      return buildDailyBriefingTicket(tasks, { events, expiring, summary, profile, images: getTicketImages('briefing') });
     case 'weekly':
-      payload = buildWeeklySummaryTicket(tasks, weekRange || headerTitle || 'Diese Woche');
-      break;
+      return buildWeeklySummaryTicket(tasks, weekRange || headerTitle || 'Diese Woche', {
+        events, dinners, summary, profile, images: getTicketImages('weekly')
+      });
     case 'daily':
     default:
-      payload = buildDailySummaryTicket(tasks);
-      break;
+      return buildDailySummaryTicket(tasks, { profile, images: getTicketImages('daily') });
   }
+}
 
+// Send raw bytes to the printer (port 9100)
+function sendToPrinter(host, port, payload) {
+  if (!host) return Promise.reject(new Error('Printer host is missing'));
   return new Promise((resolve, reject) => {
     const socket = net.createConnection({ host, port, timeout: 4000 }, () => {
       socket.write(payload, () => {
@@ -439,21 +842,205 @@ async function printTasks(params) {
   });
 }
 
-async function pingPrinter(host, port = printerPort) {
+// ==============================================================================
+// PRINTER STATUS (DLE EOT real-time status)
+// ==============================================================================
+
+// DLE EOT n: 1 = printer, 2 = offline cause, 3 = error cause, 4 = roll paper sensor.
+// Every status byte has the fixed pattern 0xx1xx10 (bits 1 and 4 set, 0 and 7 clear).
+const STATUS_QUERIES = [1, 2, 3, 4];
+const STATUS_TIMEOUT = 1500;
+
+function isStatusByte(b) {
+  return (b & 0x93) === 0x12;
+}
+
+/**
+ * Decode the four DLE EOT answer bytes.
+ * @param {number[]} bytes - Answers to DLE EOT 1..4 (in that order)
+ * @returns {Object} Flags plus a list of problem keys
+ */
+function decodeStatus([printer, offline, error, paper]) {
+  const status = {
+    online: !(printer & 0x08),
+    coverOpen: !!(offline & 0x04),
+    feedButton: !!(offline & 0x08),
+    paperNearEnd: !!(paper & 0x0c),
+    paperOut: !!(paper & 0x60) || !!(offline & 0x20),
+    mechanicalError: !!(error & 0x04),
+    cutterError: !!(error & 0x08),
+    unrecoverableError: !!(error & 0x20),
+    autoRecoverableError: !!(error & 0x40)
+  };
+  status.error = !!(offline & 0x40) || status.mechanicalError || status.cutterError ||
+    status.unrecoverableError || status.autoRecoverableError;
+
+  const problems = [];
+  if (status.paperOut) problems.push('paper-out');
+  if (status.coverOpen) problems.push('cover-open');
+  if (status.error) problems.push('error');
+  if (!status.online && !problems.length) problems.push('offline');
+  status.problems = problems;
+  // Printable: paper-near-end is only a warning
+  status.ready = problems.length === 0;
+  return status;
+}
+
+/**
+ * Query the printer's real-time status.
+ * Printers that don't answer DLE EOT are reported as reachable but unsupported.
+ * @returns {Promise<Object>} { reachable, supported, ready, paperOut, paperNearEnd, coverOpen, ... }
+ */
+function getPrinterStatus(host, port = config.printerPort) {
+  // Without a host net.createConnection would ask localhost
+  if (!host) return Promise.resolve({ reachable: false, error: 'no host' });
   return new Promise((resolve) => {
-    const socket = net.createConnection({ host, port, timeout: 1500 }, () => {
-      socket.end();
-      resolve({ reachable: true });
-    });
-    const fail = (err) => {
+    const bytes = [];
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
       socket.destroy();
-      resolve({ reachable: false, error: err ? err.code || err.message : 'timeout' });
+      resolve(result);
     };
-    socket.on('error', fail);
-    socket.on('timeout', fail);
+
+    const socket = net.createConnection({ host, port, timeout: STATUS_TIMEOUT }, () => {
+      socket.write(Buffer.from(STATUS_QUERIES.flatMap(n => [DLE, EOT, n])));
+    });
+    // Connected but silent: the printer doesn't support status queries
+    const timer = setTimeout(() => {
+      finish(socket.connecting
+        ? { reachable: false, error: 'timeout' }
+        : { reachable: true, supported: false, ready: true });
+    }, STATUS_TIMEOUT * 2);
+
+    socket.on('data', (chunk) => {
+      bytes.push(...chunk);
+      if (bytes.length < STATUS_QUERIES.length) return;
+      if (!bytes.slice(0, STATUS_QUERIES.length).every(isStatusByte)) {
+        finish({ reachable: true, supported: false, ready: true });
+        return;
+      }
+      finish({ reachable: true, supported: true, ...decodeStatus(bytes) });
+    });
+    socket.on('error', (err) => finish({ reachable: false, error: err.code || err.message }));
+    socket.on('timeout', () => {
+      if (socket.connecting) finish({ reachable: false, error: 'timeout' });
+    });
   });
 }
 
+const PROBLEM_MESSAGES = {
+  'paper-out': 'Papier leer',
+  'cover-open': 'Deckel offen',
+  error: 'Druckerfehler',
+  offline: 'Drucker offline'
+};
+
+// Human readable summary of a status result (German, shown in UI/logs)
+function describeStatus(status) {
+  if (!status.reachable) return `Nicht erreichbar (${status.error})`;
+  if (!status.supported) return 'Erreichbar';
+  const messages = status.problems.map(p => PROBLEM_MESSAGES[p] || p);
+  if (status.paperNearEnd && !status.paperOut) messages.push('Papier fast leer');
+  return messages.length ? messages.join(', ') : 'Bereit';
+}
+
+// ==============================================================================
+// SHOPPING LIST PRINT (GROUPED BY SECTION)
+// ==============================================================================
+
+/**
+ * Shopping list with a checkbox per item and the quantity right-aligned.
+ * @param {Object[]} sections - [{ name, items: [{ name, quantity, barcode? }] }]
+ *   in walking order; quantity is the formatted string (db.formatQuantity)
+ * @param {Object} options - { title, store (name shown under the title), profile, images }
+ */
+function buildShoppingListTicket(sections, { title = 'EINKAUFSLISTE', store = '', suggestions = [], profile = getPrinterProfile(), images = getTicketImages('shopping') } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
+
+  // ========== HEADER ==========
+  parts.push(align('center'));
+  parts.push(inverse(true));
+  parts.push(textSize(2, 1));
+  parts.push(text(` ${title} `, profile));
+  parts.push(textSize(1, 1));
+  parts.push(text('\n', profile));
+  parts.push(inverse(false));
+  parts.push(text((store ? `${cleanTitle(store)} - ` : '') + formatDate(new Date()) + '\n', profile));
+  parts.push(feed(1));
+
+  const count = sections.reduce((sum, s) => sum + s.items.length, 0);
+  parts.push(align('left'));
+  parts.push(text(`${count} Artikel\n`, profile));
+
+  // ========== SECTIONS ==========
+  for (const section of sections) {
+    parts.push(hr('-', width));
+    parts.push(emphasis(true));
+    parts.push(text(cleanTitle(section.name).toUpperCase() + '\n', profile));
+    parts.push(emphasis(false));
+    for (const item of section.items) {
+      pushShoppingEntry(parts, item, profile);
+    }
+  }
+
+  // Restock suggestions (not counted as list items)
+  if (suggestions.length) {
+    parts.push(hr('=', width));
+    parts.push(emphasis(true));
+    parts.push(text('VIELLEICHT AUCH:\n', profile));
+    parts.push(emphasis(false));
+    for (const item of suggestions) {
+      pushShoppingEntry(parts, item, profile);
+    }
+  }
+
+  parts.push(hr('-', width));
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
+}
+
+// ==============================================================================
+// SHELF LABEL PRINT (PANTRY)
+// ==============================================================================
+
+// Shelf label: item name, unit and barcode (if the item has one)
+function buildShelfLabelTicket(item, { profile = getPrinterProfile(), images = getTicketImages('label') } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
+
+  parts.push(align('center'));
+  parts.push(textSize(2, 2));
+  parts.push(emphasis(true));
+  for (const line of wrapTextNoBreak(cleanTitle(item.name), Math.floor(width / 2))) {
+    parts.push(text(line + '\n', profile));
+  }
+  parts.push(emphasis(false));
+  parts.push(textSize(1, 1));
+  if (item.unitName) {
+    parts.push(text(item.unitName + '\n', profile));
+  }
+
+  if (item.barcode) {
+    parts.push(feed(1));
+    parts.push(barcode(item.barcode, { profile }));
+  }
+
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
+}
+
 // ==============================================================================
 // WIFI QR CODE PRINT
 // ==============================================================================
@@ -463,24 +1050,26 @@ function escapeWifiString(str) {
   return str.replace(/[\\;,:\"]/g, '\\$&');
 }
 
-function buildWifiQrTicket(ssid, password, type = 'WPA', hidden = false) {
+function buildWifiQrTicket(ssid, password, type = 'WPA', hidden = false, { profile = getPrinterProfile(), images = getTicketImages('wifi') } = {}) {
+  const width = profile.paperWidth;
   const parts = [];
-  parts.push(init());
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
 
   // Header
   parts.push(align('center'));
   parts.push(inverse(true));
   parts.push(textSize(2, 1));
-  parts.push(text(' WLAN '));
+  parts.push(text(' WLAN ', profile));
   parts.push(textSize(1, 1));
-  parts.push(text('\n'));
+  parts.push(text('\n', profile));
   parts.push(inverse(false));
   parts.push(feed(1));
 
   // Network name
   parts.push(textSize(2, 2));
   parts.push(emphasis(true));
-  parts.push(text(ssid + '\n'));
+  parts.push(text(ssid + '\n', profile));
   parts.push(emphasis(false));
   parts.push(textSize(1, 1));
   parts.push(feed(1));
@@ -499,45 +1088,110 @@ function buildWifiQrTicket(ssid, password, type = 'WPA', hidden = false) {
   }
   wifiString += ';';
 
-  // QR Code (large for easy scanning)
-  parts.push(hr('='));
-  parts.push(qrCode(wifiString, { size: 10 }));
-  parts.push(feed(1));
-  parts.push(hr('='));
+  if (profile.qr) {
+    // QR Code (large for easy scanning)
+    parts.push(hr('=', width));
+    parts.push(qrCode(wifiString, { size: 10, profile }));
+    parts.push(feed(1));
+    parts.push(hr('=', width));
 
-  // Instructions
-  parts.push(feed(1));
-  parts.push(align('center'));
-  parts.push(text('QR-Code scannen\n'));
-  parts.push(text('zum Verbinden\n'));
+    // Instructions
+    parts.push(feed(1));
+    parts.push(align('center'));
+    parts.push(text('QR-Code scannen\n', profile));
+    parts.push(text('zum Verbinden\n', profile));
+  } else if (type !== 'nopass' && password) {
+    // No QR support - print the password so it can be typed in
+    parts.push(hr('=', width));
+    parts.push(text('Passwort:\n', profile));
+    parts.push(emphasis(true));
+    for (const line of wrapTextNoBreak(password, width)) {
+      parts.push(text(line + '\n', profile));
+    }
+    parts.push(emphasis(false));
+    parts.push(hr('=', width));
+  }
 
   parts.push(feed(3));
-  parts.push(cut());
+  parts.push(cut(profile));
 
   return Buffer.concat(parts);
 }
 
-async function printWifiQr(params) {
-  const { host, port = printerPort, ssid, password, type, hidden } = params;
-  
-  if (!host) throw new Error('Printer host is missing');
-  if (!ssid) throw new Error('SSID is required');
+// ==============================================================================
+// RECIPE CARD PRINT
+// ==============================================================================
 
-  const payload = buildWifiQrTicket(ssid, password, type, hidden);
+/**
+ * Recipe card: name, servings, ingredients and numbered steps
+ * (one step per line of the instructions).
+ * @param {Object} recipe - { name, servings, ingredients: [{ name, quantity }], instructions }
+ *   with quantities already formatted ("500 g", "2x Dose")
+ */
+function buildRecipeTicket(recipe, { profile = getPrinterProfile(), images = getTicketImages('recipe') } = {}) {
+  const width = profile.paperWidth;
+  const parts = [];
+  parts.push(init(profile));
+  pushLogo(parts, images, profile);
 
-  return new Promise((resolve, reject) => {
-    const socket = net.createConnection({ host, port, timeout: 4000 }, () => {
-      socket.write(payload, () => {
-        socket.end();
-        resolve();
-      });
-    });
-    socket.on('error', (err) => reject(new Error(`Printer error: ${err.code || err.message}`)));
-    socket.on('timeout', () => {
-      socket.destroy();
-      reject(new Error('Printer connection timed out'));
+  // ========== HEADER ==========
+  parts.push(align('center'));
+  parts.push(textSize(2, 1));
+  parts.push(emphasis(true));
+  for (const line of wrapTextNoBreak(cleanTitle(recipe.name), Math.floor(width / 2))) {
+    parts.push(text(line + '\n', profile));
+  }
+  parts.push(emphasis(false));
+  parts.push(textSize(1, 1));
+  parts.push(text(`Für ${recipe.servings} ${recipe.servings === 1 ? 'Portion' : 'Portionen'}\n`, profile));
+  parts.push(feed(1));
+  parts.push(align('left'));
+
+  // ========== INGREDIENTS ==========
+  parts.push(hr('-', width));
+  parts.push(emphasis(true));
+  parts.push(text('ZUTATEN\n', profile));
+  parts.push(emphasis(false));
+  for (const ingredient of recipe.ingredients) {
+    pushIngredientEntry(parts, ingredient, profile);
+  }
+
+  // ========== STEPS ==========
+  const steps = cleanText(recipe.instructions).split('\n').map(s => s.trim()).filter(Boolean);
+  if (steps.length) {
+    parts.push(hr('-', width));
+    parts.push(emphasis(true));
+    parts.push(text('ZUBEREITUNG\n', profile));
+    parts.push(emphasis(false));
+    steps.forEach((step, i) => {
+      const prefix = `${i + 1}. `;
+      const lines = wrapTextNoBreak(step, width - prefix.length);
+      parts.push(text(`${prefix}${lines[0] || ''}\n`, profile));
+      for (let j = 1; j < lines.length; j++) {
+        parts.push(text(`${' '.repeat(prefix.length)}${lines[j]}\n`, profile));
+      }
+      if (i < steps.length - 1) parts.push(feed(1));
     });
-  });
+  }
+
+  parts.push(hr('-', width));
+  parts.push(feed(3));
+  parts.push(cut(profile));
+
+  return Buffer.concat(parts);
 }
 
-module.exports = { printTasks, pingPrinter, printWifiQr };
+module.exports = {
+  getPrinterStatus,
+  describeStatus,
+  buildPrintPayload,
+  buildWifiQrTicket,
+  buildShoppingListTicket,
+  buildShelfLabelTicket,
+  buildRecipeTicket,
+  buildMemberBannerTicket,
+  barcodeType,
+  sendToPrinter,
+  getPrinterProfile,
+  PRINTER_PROFILES
+};
@@ -3,14 +3,36 @@ const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const config = require('./config');
-const { fetchTasks, createTask, completeTask, listAllChores } = require('./donotick');
+const {
+  fetchTasks,
+  createTask,
+  completeTask,
+  updateTask,
+  rescheduleTask,
+  skipTask,
+  deleteTask,
+  resolveDueDate,
+  hasLogin,
+  listAllChores,
+  listMembers,
+  validateRecurrence
+} = require('./donotick');
 const { getTrashReminderTasks, markPrinted, loadCreated, saveCreated } = require('./trash');
-const { printTasks, pingPrinter, printWifiQr } = require('./printer');
+const {
+  getPrinterStatus, describeStatus, buildPrintPayload, buildWifiQrTicket, buildShelfLabelTicket, buildRecipeTicket, barcodeType,
+  buildMemberBannerTicket,
+  getPrinterProfile, PRINTER_PROFILES
+} = require('./printer');
+const printQueue = require('./printQueue');
 const { createDailyRunner } = require('./scheduler');
 const db = require('./db');
 const { checkOllamaStatus, generateDailySummary, generateWeeklySummary } = require('./ai');
 const { getTodayEvents, getWeekEvents, formatEventsForPrint } = require('./calendar');
 const googleCalendar = require('./googleCalendar');
+const preview = require('./preview');
+const { loadImages, listImages } = require('./images');
+const { startVirtualPrinter, stopVirtualPrinter, getVirtualPrinterState } = require('./virtualPrinter');
+const { createTaskLink, verifyTaskToken, isLinkOutdated, renderTaskPage } = require('./taskLinks');
 
 const state = {
   lastRunAt: null,
@@ -74,6 +96,74 @@ function log(level, msg, extra) {
   }
 }
 
+/**
+ * Target printer for a job type (see db.PRINT_JOB_TYPES).
+ * A request body may override it with printerId or printerIp/printerPort.
+ */
+function targetPrinter(jobType, body = {}) {
+  if (body.printerId) {
+    const printer = db.getPrinter(body.printerId);
+    if (printer) return printer;
+  }
+  const printer = db.resolvePrinter(jobType);
+  if (body.printerIp) {
+    return { ...printer, host: body.printerIp, port: body.printerPort || printer.port };
+  }
+  return printer;
+}
+
+/**
+ * Build a task ticket for the printer and put it in the print queue.
+ * @returns {Object} The queued job
+ */
+function queuePrint(jobType, printer, label, params) {
+  const payload = buildPrintPayload({ ...params, profile: printer.profile });
+  return printQueue.enqueue({ type: jobType, label, printer, payload });
+}
+
+/**
+ * Print params for a single task ticket, with a scan-to-complete link in the
+ * QR code (see taskLinks.js). Each call records a new one-time link.
+ */
+function singleTaskParams(task) {
+  return { tasks: [{ ...task, completeUrl: createTaskLink(task) }], mode: 'single' };
+}
+
+/**
+ * Split the morning tasks by household member (see db members).
+ * Tasks of members with morning: false are left out. With morningGrouping
+ * 'member' every member gets a bundle of their own; tasks of no known
+ * member (unassigned, trash reminders) come last, as "Alle" if there are
+ * other bundles.
+ * @returns {Object[]} [{ name, tasks }] (name null: no banner)
+ */
+function morningBundles(tasks) {
+  const members = db.getMembers();
+  const selected = tasks.filter((t) => db.findTaskMember(t, members)?.morning !== false);
+  if (config.morningGrouping !== 'member') return [{ name: null, tasks: selected }];
+
+  const bundles = members
+    .filter((m) => m.morning !== false)
+    .map((m) => ({ name: m.name, tasks: selected.filter((t) => db.findTaskMember(t, members) === m) }))
+    .filter((b) => b.tasks.length);
+  const rest = selected.filter((t) => !db.findTaskMember(t, members));
+  if (rest.length) bundles.push({ name: bundles.length ? 'Alle' : null, tasks: rest });
+  return bundles;
+}
+
+// Start/stop the virtual printer according to config
+async function syncVirtualPrinter() {
+  try {
+    if (config.virtualPrinterEnabled) {
+      await startVirtualPrinter({ port: config.virtualPrinterPort, log });
+    } else {
+      await stopVirtualPrinter();
+    }
+  } catch (err) {
+    log('error', 'Virtual printer failed to start', err.message);
+  }
+}
+
 function sendJson(res, code, data) {
   res.writeHead(code, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(data));
@@ -109,6 +199,25 @@ async function gatherTasks(range = 'today') {
   return { tasks, trashData };
 }
 
+/**
+ * Calendar events from Google OAuth (if connected) or the iCal feed.
+ * The OAuth path returns ISO strings, the iCal path Date objects - normalize to Date.
+ */
+async function gatherEvents(range = 'today') {
+  let events = [];
+  if (googleCalendar.isConnected()) {
+    events = range === 'today' ? await googleCalendar.getTodayEvents() : await googleCalendar.getWeekEvents();
+  } else {
+    const cfg = config.getAll();
+    events = range === 'today' ? await getTodayEvents(cfg) : await getWeekEvents(cfg);
+  }
+  return events.map((e) => ({
+    ...e,
+    start: new Date(e.start),
+    end: e.end ? new Date(e.end) : null
+  }));
+}
+
 /**
  * Get the week window based on current day.
  * - On Sunday: returns next week (Monday to Sunday)
@@ -131,6 +240,239 @@ function getWeekWindow() {
   return { start, end };
 }
 
+// Local 'YYYY-MM-DD' (meal plan dates are local days)
+function dayKey(d) {
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Planned dinners inside the week window: { 'YYYY-MM-DD': name }
+function gatherDinners(win) {
+  const meals = db.getMeals(dayKey(win.start), dayKey(win.end)).filter((m) => m.slot === 'dinner');
+  return Object.fromEntries(meals.map((m) => [m.date, m.name]));
+}
+
+// Pantry items expiring today or tomorrow, for the Tagesbriefing
+function gatherExpiring() {
+  return db.getExpiringItems(1).map((i) => ({
+    name: i.name,
+    expiresAt: i.expiresAt,
+    quantity: db.formatQuantity(i.stock, i.unit, i.displayUnit)
+  }));
+}
+
+/**
+ * Everything the weekly ticket needs: tasks, calendar events inside the
+ * week window, planned dinners and (if enabled) the AI week overview.
+ */
+async function gatherWeek(paperWidth) {
+  const win = getWeekWindow();
+  const [{ tasks }, allEvents] = await Promise.all([
+    gatherTasks('week'),
+    gatherEvents('week').catch(() => [])
+  ]);
+  const end = new Date(win.end);
+  end.setDate(end.getDate() + 1);
+  const events = allEvents.filter((e) => e.start >= win.start && e.start < end);
+
+  const cfg = config.getAll();
+  let summary = null;
+  if (cfg.aiWeeklySummary && (tasks.length || events.length)) {
+    summary = await generateWeeklySummary(cfg, events, tasks, paperWidth);
+  }
+  return { tasks, events, dinners: gatherDinners(win), summary, window: win };
+}
+
+/**
+ * Tasks for the daily summary: tasks printed this morning (in auto mode
+ * already marked done in Donotick) plus any current tasks, without duplicates.
+ */
+async function gatherDailyTasks() {
+  // Get current tasks from API
+  const { tasks: currentTasks } = await gatherTasks('today');
+  
+  // Get tasks that were printed this morning (already marked done)
+  const morningTasks = db.getMorningTasks();
+  
+  // Merge: morning tasks + current tasks (avoid duplicates by ID)
+  const seenIds = new Set();
+  const allTasks = [];
+  
+  // Add morning tasks first (they were printed earlier)
+  for (const t of morningTasks) {
+    if (!seenIds.has(String(t.id))) {
+      seenIds.add(String(t.id));
+      allTasks.push({ ...t, completedThisMorning: Boolean(t.completedAt) });
+    }
+  }
+  
+  // Add current tasks that weren't in morning batch
+  for (const t of currentTasks) {
+    if (!seenIds.has(String(t.id))) {
+      seenIds.add(String(t.id));
+      allTasks.push(t);
+    }
+  }
+  return { allTasks, morningTasks };
+}
+
+/**
+ * Tasks printed this morning that are still open (track mode). Printed tasks
+ * no longer due in Donotick were completed there directly and get marked done.
+ */
+async function gatherOpenTasks() {
+  const printed = db.getMorningTasks().filter((t) => !t.completedAt && /^\d+$/.test(String(t.id)));
+  if (!printed.length) return [];
+  const { tasks } = await gatherTasks('today');
+  const current = new Map(tasks.map((t) => [String(t.id), t]));
+  for (const t of printed) {
+    if (current.has(String(t.id))) continue;
+    // Done in Donotick itself: old tickets must not complete the next occurrence
+    db.markMorningTaskDone(t.id, 'donotick');
+    db.closeTaskLinks(t.id, 'donotick');
+  }
+  return printed.filter((t) => current.has(String(t.id))).map((t) => current.get(String(t.id)));
+}
+
+// Store for a shopping print: the requested one, else the store picked last
+function shoppingStore(storeId) {
+  return db.getStore(storeId || config.shoppingStoreId);
+}
+
+// Print params for the shopping list (grouped by section in the store's walking order)
+function shoppingTicketParams(list, { barcodes = false, store = null, suggestions = false } = {}) {
+  const order = store ? store.sections : undefined;
+  const sections = db.groupShoppingListBySection(list, order).map(section => ({
+    ...section,
+    items: section.items.map(item => ({ ...item, barcode: barcodes ? item.barcode : '' }))
+  }));
+  const extra = suggestions
+    ? db.getShoppingSuggestions().map(s => ({ name: s.name, quantity: db.formatQuantity(s.quantity, s.unit, s.displayUnit) }))
+    : [];
+  return { sections, suggestions: extra, mode: 'shopping', headerTitle: 'EINKAUFSLISTE', store: store ? store.name : '' };
+}
+
+// Shelf label(s) for a shopping item (name, unit, barcode)
+function shelfLabelPayload(item, printer, copies = 1) {
+  const unit = db.UNIT_TYPES[item.unit];
+  const label = buildShelfLabelTicket({ ...item, unitName: unit ? unit.name : item.unit }, {
+    profile: getPrinterProfile(printer.profile)
+  });
+  return Buffer.concat(Array(copies).fill(label));
+}
+
+// Recipe card for N servings (default: the recipe's own)
+function recipePayload(id, printer, servings = null) {
+  const recipe = db.getRecipe(id, servings);
+  if (!recipe) return null;
+  return buildRecipeTicket({
+    ...recipe,
+    ingredients: recipe.ingredients.map(entry => ({
+      name: entry.item.name,
+      quantity: db.formatQuantity(entry.quantity, entry.unit, entry.item.displayUnit)
+    }))
+  }, { profile: getPrinterProfile(printer.profile) });
+}
+
+// Checks the fields of a recipe body; returns an error message or null
+function recipeError(body) {
+  if (body.servings !== undefined && !(Number(body.servings) > 0)) return 'servings must be a positive number';
+  if (body.ingredients !== undefined) {
+    if (!Array.isArray(body.ingredients)) return 'ingredients must be an array';
+    const items = db.getShoppingItems();
+    for (const ingredient of body.ingredients) {
+      const item = items.find(i => i.id === ingredient.itemId);
+      if (!item) return `Unknown item: ${ingredient.itemId}`;
+      if (!ingredient.unit) continue;
+      if (!db.UNIT_TYPES[ingredient.unit]) return `Unknown unit: ${ingredient.unit}`;
+      // Amounts in other units couldn't be added to the item on the list or in the pantry
+      if (db.convertQuantity(1, ingredient.unit, item.unit) === null) {
+        return `Unit ${ingredient.unit} does not fit ${item.unit} (${item.name})`;
+      }
+    }
+  }
+  return null;
+}
+
+const TEST_TASK = { id: 'test', title: 'Test Print', description: 'Printer is working!', labels: ['Test'], priority: 3 };
+
+// Preview mode -> print job type (for printer routing)
+const PREVIEW_JOB_TYPES = {
+  single: 'morning',
+  briefing: 'daily',
+  daily: 'daily',
+  weekly: 'weekly',
+  wifi: 'wifi',
+  shopping: 'shopping',
+  label: 'label',
+  recipe: 'recipe',
+  evening: 'evening',
+  test: 'test'
+};
+
+/**
+ * Build the bytes a print button would send, for the preview.
+ * @returns {Promise<Buffer|null>} null when there is nothing to print
+ */
+async function buildPreviewPayload(mode, printer, query = {}) {
+  const profile = printer.profile;
+  const cfg = config.getAll();
+  switch (mode) {
+    case 'single': {
+      const { tasks } = await gatherTasks('today');
+      const task = query.id ? tasks.find((t) => String(t.id) === String(query.id)) : tasks[0];
+      if (!task) return null;
+      return buildPrintPayload({ tasks: [{ ...task, completeUrl: createTaskLink(task, { preview: true }) }], mode: 'single', profile });
+    }
+    case 'daily': {
+      const { allTasks } = await gatherDailyTasks();
+      return allTasks.length ? buildPrintPayload({ tasks: allTasks, mode: 'daily', profile }) : null;
+    }
+    case 'evening': {
+      const open = await gatherOpenTasks();
+      return open.length ? buildPrintPayload({ tasks: open, mode: 'evening', profile }) : null;
+    }
+    case 'briefing': {
+      const [{ tasks }, events] = await Promise.all([
+        gatherTasks('today'),
+        gatherEvents('today').catch(() => [])
+      ]);
+      const paperWidth = getPrinterProfile(profile).paperWidth;
+      const summary = cfg.aiDailySummary ? await generateDailySummary(cfg, events, tasks, paperWidth) : null;
+      return buildPrintPayload({ tasks, mode: 'briefing', events, expiring: gatherExpiring(), summary, profile });
+    }
+    case 'weekly': {
+      const { tasks, events, dinners, summary, window: win } = await gatherWeek(getPrinterProfile(profile).paperWidth);
+      if (!tasks.length && !events.length && !Object.keys(dinners).length) return null;
+      return buildPrintPayload({ tasks, mode: 'weekly', weekRange: formatWeekWindowDe(win), events, dinners, summary, profile });
+    }
+    case 'wifi':
+      if (!cfg.wifiSsid) return null;
+      return buildWifiQrTicket(cfg.wifiSsid, cfg.wifiPassword, cfg.wifiType || 'WPA', cfg.wifiHidden || false, {
+        profile: getPrinterProfile(profile)
+      });
+    case 'shopping': {
+      const store = shoppingStore(query.storeId);
+      const list = db.getShoppingListResolved(store ? store.id : null);
+      const params = shoppingTicketParams(list, {
+        barcodes: query.barcodes === '1', store, suggestions: query.suggestions === '1'
+      });
+      return list.length ? buildPrintPayload({ ...params, profile }) : null;
+    }
+    case 'label': {
+      const item = db.getShoppingItems().find((i) => i.id === query.id);
+      return item ? shelfLabelPayload(item, printer) : null;
+    }
+    case 'recipe':
+      return recipePayload(query.id, printer, Number(query.servings) || null);
+    case 'test':
+      return buildPrintPayload({ tasks: [TEST_TASK], mode: 'single', profile });
+    default:
+      throw new Error(`Unknown preview mode: ${mode}`);
+  }
+}
+
 function formatWeekWindowDe(win) {
   const fmt = (d) => d.toLocaleDateString('de-DE');
   return `${fmt(win.start)} - ${fmt(win.end)}`;
@@ -143,7 +485,11 @@ async function handleApi(req, res) {
   if (pathname === '/api/todos/today' && req.method === 'GET') {
     try {
       const { tasks, trashData } = await gatherTasks('today');
-      sendJson(res, 200, { tasks, trash: trashData.earliestPerType });
+      // Printed this morning, with completedAt once done (open ones matter in track mode)
+      const printed = db.getMorningTasks().map(({ id, printedAt, completedAt, completedBy }) => ({
+        id, printedAt, completedAt, completedBy
+      }));
+      sendJson(res, 200, { tasks, trash: trashData.earliestPerType, printed });
     } catch (err) {
       log('error', 'Failed to fetch today tasks', err.message);
       sendJson(res, 500, { error: err.message });
@@ -180,7 +526,44 @@ async function handleApi(req, res) {
         sendJson(res, 400, { error: 'title is required' });
         return true;
       }
-      const created = await createTask({ title: body.title, description: body.description || '', dueDate: body.dueDate || null });
+      const recurrenceError = validateRecurrence(body.recurrence);
+      if (recurrenceError) {
+        sendJson(res, 400, { error: recurrenceError });
+        return true;
+      }
+      const priority = body.priority === undefined ? 0 : Number(body.priority);
+      if (!Number.isInteger(priority) || priority < 0 || priority > 4) {
+        sendJson(res, 400, { error: 'priority must be 0-4' });
+        return true;
+      }
+      const assignees = Array.isArray(body.assignees) ? body.assignees : [];
+      const recurring = body.recurrence && body.recurrence.type !== 'once';
+      if ((recurring || assignees.length || priority) && !hasLogin()) {
+        sendJson(res, 400, { error: 'Recurrence, assignees and priority need the Donotick username/password login' });
+        return true;
+      }
+      // Assignees as Donotick user IDs (number or string) or member names
+      const assigneeIds = [];
+      if (assignees.length) {
+        const members = await listMembers();
+        for (const assignee of assignees) {
+          const member = members.find((m) => String(m.id) === String(assignee) || m.name.toLowerCase() === String(assignee).toLowerCase());
+          if (!member) {
+            sendJson(res, 400, { error: `Unknown assignee: ${assignee}` });
+            return true;
+          }
+          assigneeIds.push(member.id);
+        }
+      }
+      const created = await createTask({
+        title: body.title,
+        description: body.description || '',
+        dueDate: body.dueDate || null,
+        labels: Array.isArray(body.labels) ? body.labels : [],
+        recurrence: body.recurrence || null,
+        assigneeIds,
+        priority
+      });
       sendJson(res, 200, { created });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
@@ -188,10 +571,22 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // Household members for assignees (Donotick username/password login only)
+  if (pathname === '/api/todos/members' && req.method === 'GET') {
+    try {
+      sendJson(res, 200, { members: await listMembers() });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
   if (pathname.startsWith('/api/todos/') && pathname.endsWith('/complete') && req.method === 'POST') {
     try {
       const id = pathname.split('/')[3];
       await completeTask(id);
+      db.closeTaskLinks(id, 'dashboard');
+      db.markMorningTaskDone(id, 'dashboard');
       sendJson(res, 200, { status: 'completed', id });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
@@ -199,6 +594,92 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // Edit a chore: title, description, labels and/or dueDate ('morgen', 'nächste Woche', a date)
+  if (pathname.match(/^\/api\/todos\/\d+$/) && req.method === 'PATCH') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      const { title, description, labels, dueDate } = body;
+      if (title !== undefined && !String(title).trim()) {
+        sendJson(res, 400, { error: 'title must not be empty' });
+        return true;
+      }
+      if (labels !== undefined && !Array.isArray(labels)) {
+        sendJson(res, 400, { error: 'labels must be an array' });
+        return true;
+      }
+      if (labels !== undefined && !hasLogin()) {
+        sendJson(res, 400, { error: 'Labels need the Donotick username/password login' });
+        return true;
+      }
+      if ([title, description, labels, dueDate].every((v) => v === undefined)) {
+        sendJson(res, 400, { error: 'Nothing to update (title, description, labels or dueDate)' });
+        return true;
+      }
+      let due = null;
+      if (dueDate !== undefined) {
+        // Shortcuts keep the time of day of the current due date
+        const current = (await listAllChores()).find((t) => t.id === id);
+        due = resolveDueDate(dueDate, current?.due);
+        if (!due) {
+          sendJson(res, 400, { error: `Unknown dueDate: ${dueDate}` });
+          return true;
+        }
+      }
+      // One request, so an edit is never saved only halfway
+      if (title !== undefined || description !== undefined || labels !== undefined) {
+        await updateTask(id, {
+          title: title !== undefined ? String(title).trim() : undefined,
+          description,
+          labels,
+          dueDate: due
+        });
+      } else {
+        await rescheduleTask(id, due);
+      }
+      log('info', `Task ${id} updated${due ? `, due ${due.toISOString()}` : ''}`);
+      sendJson(res, 200, { status: 'updated', id, due: due ? due.toISOString() : undefined });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // Skip this occurrence of a recurring chore; printed tickets must not complete the next one
+  if (pathname.match(/^\/api\/todos\/\d+\/skip$/) && req.method === 'POST') {
+    try {
+      const id = pathname.split('/')[3];
+      if (!hasLogin()) {
+        sendJson(res, 400, { error: 'Skipping needs the Donotick username/password login' });
+        return true;
+      }
+      await skipTask(id);
+      db.closeTaskLinks(id, 'skipped');
+      log('info', `Task ${id} skipped`);
+      sendJson(res, 200, { status: 'skipped', id });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/todos\/\d+$/) && req.method === 'DELETE') {
+    try {
+      const id = pathname.split('/')[3];
+      if (!hasLogin()) {
+        sendJson(res, 400, { error: 'Deleting needs the Donotick username/password login' });
+        return true;
+      }
+      await deleteTask(id);
+      db.closeTaskLinks(id, 'deleted');
+      log('info', `Task ${id} deleted`);
+      sendJson(res, 200, { status: 'deleted', id });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
   if (pathname.startsWith('/api/todos/') && pathname.endsWith('/print') && req.method === 'POST') {
     try {
       const id = pathname.split('/')[3];
@@ -209,14 +690,9 @@ async function handleApi(req, res) {
         return true;
       }
       const body = await readBody(req).catch(() => ({}));
-      const host = body.printerIp || config.printerIp;
-      await printTasks({
-        host,
-        port: body.printerPort || config.printerPort,
-        tasks: [task],
-        mode: 'single'
-      });
-      sendJson(res, 200, { status: 'printed', id });
+      const printer = targetPrinter('morning', body);
+      const job = queuePrint('morning', printer, `Aufgabe: ${task.title}`, singleTaskParams(task));
+      sendJson(res, 200, { status: 'queued', id, jobId: job.id });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
     }
@@ -227,33 +703,8 @@ async function handleApi(req, res) {
   if (pathname === '/api/print/daily' && req.method === 'POST') {
     try {
       const body = await readBody(req);
-      const printerHost = body.printerIp || config.printerIp;
-      
-      // Get current tasks from API
-      const { tasks: currentTasks } = await gatherTasks('today');
-      
-      // Get tasks that were printed this morning (already marked done)
-      const morningTasks = db.getMorningTasks();
-      
-      // Merge: morning tasks + current tasks (avoid duplicates by ID)
-      const seenIds = new Set();
-      const allTasks = [];
-      
-      // Add morning tasks first (they were printed earlier)
-      for (const t of morningTasks) {
-        if (!seenIds.has(String(t.id))) {
-          seenIds.add(String(t.id));
-          allTasks.push({ ...t, completedThisMorning: true });
-        }
-      }
-      
-      // Add current tasks that weren't in morning batch
-      for (const t of currentTasks) {
-        if (!seenIds.has(String(t.id))) {
-          seenIds.add(String(t.id));
-          allTasks.push(t);
-        }
-      }
+      const printer = targetPrinter('daily', body);
+      const { allTasks, morningTasks } = await gatherDailyTasks();
       
       if (!allTasks.length) {
         sendJson(res, 200, { status: 'no-tasks' });
@@ -261,9 +712,7 @@ async function handleApi(req, res) {
       }
       
       // Print daily SUMMARY (dense list)
-      await printTasks({
-        host: printerHost,
-        port: body.printerPort || config.printerPort,
+      const job = queuePrint('daily', printer, 'Tageszusammenfassung', {
         tasks: allTasks,
         mode: 'daily'
       });
@@ -271,7 +720,7 @@ async function handleApi(req, res) {
       // Note: We do NOT complete tasks here - they were already completed in morning print
       // or the user wants them to stay as-is
       
-      sendJson(res, 200, { status: 'printed', count: allTasks.length, morningCount: morningTasks.length });
+      sendJson(res, 200, { status: 'queued', jobId: job.id, count: allTasks.length, morningCount: morningTasks.length });
     } catch (err) {
       log('error', 'Manual daily print failed', err.message);
       sendJson(res, 500, { error: err.message });
@@ -283,23 +732,23 @@ async function handleApi(req, res) {
   if (pathname === '/api/print/weekly' && req.method === 'POST') {
     try {
       const body = await readBody(req);
-      const printerHost = body.printerIp || config.printerIp;
-      const { tasks } = await gatherTasks('week');
+      const printer = targetPrinter('weekly', body);
+      const { tasks, events, dinners, summary, window: win } = await gatherWeek(getPrinterProfile(printer.profile).paperWidth);
       
-      if (!tasks.length) {
+      if (!tasks.length && !events.length && !Object.keys(dinners).length) {
         sendJson(res, 200, { status: 'no-tasks' });
         return true;
       }
       
-      const weekWin = formatWeekWindowDe(getWeekWindow());
-      await printTasks({
-        host: printerHost,
-        port: body.printerPort || config.printerPort,
+      const job = queuePrint('weekly', printer, 'Wochenübersicht', {
         tasks,
         mode: 'weekly',
-        weekRange: weekWin
+        weekRange: formatWeekWindowDe(win),
+        events,
+        dinners,
+        summary
       });
-      sendJson(res, 200, { status: 'printed', count: tasks.length });
+      sendJson(res, 200, { status: 'queued', jobId: job.id, count: tasks.length, events: events.length });
     } catch (err) {
       log('error', 'Manual weekly print failed', err.message);
       sendJson(res, 500, { error: err.message });
@@ -307,10 +756,287 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // Status of the default printer (top level, or ?printerIp=) plus all registered printers.
+  // Includes the real-time status (paper out, cover open, ...) when the printer supports it.
   if (pathname === '/api/printer/status' && req.method === 'GET') {
     const ip = parsed.query.printerIp || config.printerIp;
-    const result = await pingPrinter(ip);
-    sendJson(res, 200, { ip, ...result });
+    const all = [db.getDefaultPrinter(), ...db.getPrinters()].filter((p) => p.host);
+    const statusOf = async (host, port) => {
+      const status = await getPrinterStatus(host, port);
+      return { ...status, message: describeStatus(status) };
+    };
+    const port = Number(config.printerPort) || 9100;
+    const result = ip
+      ? await statusOf(ip, port)
+      : { reachable: false, error: 'no host', message: 'Kein Drucker eingestellt' };
+    // Don't open a second connection to the same printer (many only accept one)
+    const statuses = await Promise.all(all.map((p) => (
+      ip && p.host === ip && Number(p.port) === port ? result : statusOf(p.host, p.port)
+    )));
+    const printers = all.map((p, i) => ({ id: p.id, name: p.name, host: p.host, port: p.port, ...statuses[i] }));
+    sendJson(res, 200, { ip, ...result, printers });
+    return true;
+  }
+
+  // ============ Printer Registry ============
+
+  if (pathname === '/api/printers' && req.method === 'GET') {
+    sendJson(res, 200, {
+      defaultPrinter: db.getDefaultPrinter(),
+      printers: db.getPrinters(),
+      routes: config.printerRoutes || {},
+      jobs: db.PRINT_JOB_TYPES
+    });
+    return true;
+  }
+
+  if (pathname === '/api/printers' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (typeof body.name !== 'string' || typeof body.host !== 'string' || !body.name.trim() || !body.host.trim()) {
+        sendJson(res, 400, { error: 'name and host are required (strings)' });
+        return true;
+      }
+      const printer = db.addPrinter(body);
+      log('info', `Printer added: ${printer.name} (${printer.host}:${printer.port})`);
+      sendJson(res, 200, { printer });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/printers\/[^/]+$/) && req.method === 'PATCH') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      const invalid = ['name', 'host'].find((key) => body[key] !== undefined && (typeof body[key] !== 'string' || !body[key].trim()));
+      if (invalid) {
+        sendJson(res, 400, { error: `${invalid} must be a non-empty string` });
+        return true;
+      }
+      const printer = db.updatePrinter(id, body);
+      if (!printer) {
+        sendJson(res, 404, { error: 'Printer not found' });
+        return true;
+      }
+      sendJson(res, 200, { printer });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/printers\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[3];
+    db.deletePrinter(id);
+    config.reload();
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
+  // Run the morning print now. Defaults to a dry run (nothing is marked done),
+  // pass { "dryRun": false } for a real run.
+  if (pathname === '/api/print/morning' && req.method === 'POST') {
+    const body = await readBody(req).catch(() => ({}));
+    const dryRun = body.dryRun !== false;
+    if (config.devMode && !dryRun) {
+      sendJson(res, 400, { error: 'Dev mode: only dry runs are allowed' });
+      return true;
+    }
+    await runMorningPrint({ dryRun });
+    sendJson(res, state.lastRunError ? 500 : 200, {
+      status: state.lastRunError ? 'error' : 'ok',
+      dryRun,
+      result: state.lastRunResult,
+      error: state.lastRunError
+    });
+    return true;
+  }
+
+  // Ticket preview: GET /api/print/preview?mode=single|daily|briefing|weekly|evening|wifi|shopping|label|recipe|test
+  //   &format=html|svg|png (default html), optional &id= (single, label, recipe), &servings= (recipe), &barcodes=1, &suggestions=1 and &storeId= (shopping) and &printerId=
+  if (pathname === '/api/print/preview' && req.method === 'GET') {
+    try {
+      const mode = parsed.query.mode || 'daily';
+      if (!PREVIEW_JOB_TYPES[mode]) {
+        sendJson(res, 400, { error: `Unknown preview mode: ${mode}` });
+        return true;
+      }
+      const printer = targetPrinter(PREVIEW_JOB_TYPES[mode], parsed.query);
+      const payload = await buildPreviewPayload(mode, printer, parsed.query);
+      if (!payload) {
+        sendJson(res, 404, { error: 'Nichts zu drucken' });
+        return true;
+      }
+      const { paperWidth } = getPrinterProfile(printer.profile);
+      const format = parsed.query.format || 'html';
+      if (format === 'png') {
+        const png = await preview.renderPng(payload, { paperWidth });
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+      } else if (format === 'svg') {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8' });
+        res.end(preview.renderSvg(payload, { paperWidth }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(preview.renderHtml(payload, { paperWidth, title: `Vorschau: ${mode}` }));
+      }
+    } catch (err) {
+      log('error', 'Print preview failed', err.message);
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // ============ Members API ============
+
+  if (pathname === '/api/members' && req.method === 'GET') {
+    sendJson(res, 200, { members: db.getMembers() });
+    return true;
+  }
+
+  if (pathname === '/api/members' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (!body.name || !String(body.name).trim()) {
+        sendJson(res, 400, { error: 'name is required' });
+        return true;
+      }
+      const member = db.addMember(body);
+      log('info', `Member added: ${member.name}`);
+      sendJson(res, 200, { member });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/members\/[^/]+$/) && req.method === 'PATCH') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      if (body.name !== undefined && !String(body.name).trim()) {
+        sendJson(res, 400, { error: 'name must not be empty' });
+        return true;
+      }
+      const member = db.updateMember(id, body);
+      if (!member) {
+        sendJson(res, 404, { error: 'Member not found' });
+        return true;
+      }
+      sendJson(res, 200, { member });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/members\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[3];
+    db.deleteMember(id);
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
+  // ============ Print Queue ============
+
+  if (pathname === '/api/print/jobs' && req.method === 'GET') {
+    const limit = parseInt(parsed.query.limit, 10) || 50;
+    sendJson(res, 200, { jobs: printQueue.getJobs(limit), maxAttempts: printQueue.MAX_ATTEMPTS });
+    return true;
+  }
+
+  // Job actions: POST /api/print/jobs/:id/(retry|cancel|reprint)
+  const jobAction = pathname.match(/^\/api\/print\/jobs\/([^/]+)\/(retry|cancel|reprint)$/);
+  if (jobAction && req.method === 'POST') {
+    const [, id, action] = jobAction;
+    try {
+      const actions = {
+        retry: printQueue.retryJob,
+        cancel: printQueue.cancelJob,
+        reprint: printQueue.reprintJob
+      };
+      const job = actions[action](id);
+      if (!job) {
+        sendJson(res, 404, { error: 'Job not found' });
+        return true;
+      }
+      log('info', `Print job ${action}: ${job.label}`);
+      sendJson(res, 200, { job });
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
+    return true;
+  }
+
+  // ============ Virtual Printer ============
+
+  if (pathname === '/api/virtual-printer' && req.method === 'GET') {
+    const jobs = db.getVirtualPrintJobs().map(({ bytes, ...job }) => job);
+    sendJson(res, 200, {
+      enabled: !!config.virtualPrinterEnabled,
+      ...getVirtualPrinterState(),
+      jobs
+    });
+    return true;
+  }
+
+  if (pathname === '/api/virtual-printer/jobs' && req.method === 'DELETE') {
+    db.clearVirtualPrintJobs();
+    sendJson(res, 200, { status: 'cleared' });
+    return true;
+  }
+
+  // Rendering of a received ticket: ?format=svg (default) | html | text | raw
+  if (pathname.match(/^\/api\/virtual-printer\/jobs\/[^/]+$/) && req.method === 'GET') {
+    const job = db.getVirtualPrintJob(pathname.split('/')[4]);
+    if (!job) {
+      sendJson(res, 404, { error: 'Job not found' });
+      return true;
+    }
+    const bytes = Buffer.from(job.bytes, 'base64');
+    const format = parsed.query.format || 'svg';
+    if (format === 'raw') {
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="ticket-${job.id}.bin"`
+      });
+      res.end(bytes);
+    } else if (format === 'text') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(job.text);
+    } else if (format === 'html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(preview.renderHtml(bytes, { paperWidth: job.paperWidth, title: `Ticket ${job.id}` }));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8' });
+      res.end(preview.renderSvg(bytes, { paperWidth: job.paperWidth }));
+    }
+    return true;
+  }
+
+  // Available printer profiles (paper width, code page, cut, QR support)
+  if (pathname === '/api/printer/profiles' && req.method === 'GET') {
+    const profiles = Object.entries(PRINTER_PROFILES).map(([id, p]) => ({ id, ...p }));
+    sendJson(res, 200, { profiles, current: config.printerProfile });
+    return true;
+  }
+
+  // Images available for tickets (bundled icons + data/images)
+  if (pathname === '/api/images' && req.method === 'GET') {
+    sendJson(res, 200, listImages());
+    return true;
+  }
+
+  // Re-read images, e.g. after copying a logo to data/images
+  if (pathname === '/api/images/reload' && req.method === 'POST') {
+    try {
+      const count = await loadImages(log);
+      sendJson(res, 200, { count, ...listImages() });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
     return true;
   }
 
@@ -361,15 +1087,12 @@ async function handleApi(req, res) {
   if (pathname === '/api/printer/test' && req.method === 'POST') {
     try {
       const body = await readBody(req);
-      const host = body.printerIp || config.printerIp;
-      const port = body.printerPort || config.printerPort;
-      await printTasks({
-        host,
-        port,
-        tasks: [{ id: 'test', title: 'Test Print', description: 'Printer is working!', labels: ['Test'], priority: 3 }],
+      const printer = targetPrinter('test', body);
+      const job = queuePrint('test', printer, 'Testdruck', {
+        tasks: [TEST_TASK],
         mode: 'single'
       });
-      sendJson(res, 200, { status: 'ok' });
+      sendJson(res, 200, { status: 'queued', jobId: job.id });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
     }
@@ -391,17 +1114,12 @@ async function handleApi(req, res) {
         return true;
       }
       
-      await printWifiQr({
-        host: config.printerIp,
-        port: config.printerPort,
-        ssid,
-        password,
-        type,
-        hidden
-      });
+      const printer = targetPrinter('wifi');
+      const payload = buildWifiQrTicket(ssid, password, type, hidden, { profile: getPrinterProfile(printer.profile) });
+      const job = printQueue.enqueue({ type: 'wifi', label: `WLAN: ${ssid}`, printer, payload });
       
-      log('info', `Printed WiFi QR code for "${ssid}"`);
-      sendJson(res, 200, { status: 'printed', ssid });
+      log('info', `Queued WiFi QR code for "${ssid}"`);
+      sendJson(res, 200, { status: 'queued', jobId: job.id, ssid });
     } catch (err) {
       log('error', 'WiFi QR print failed', err.message);
       sendJson(res, 500, { error: err.message });
@@ -454,6 +1172,7 @@ async function handleApi(req, res) {
       wifiPassword: cfg.wifiPassword ? '********' : '',
       googleClientSecret: cfg.googleClientSecret ? '********' : '',
       googleRefreshToken: cfg.googleRefreshToken ? '********' : '',
+      ticketSecret: undefined,
       googleConnected: googleCalendar.isConnected()
     };
     sendJson(res, 200, { config: safe });
@@ -468,12 +1187,15 @@ async function handleApi(req, res) {
       // Whitelist of allowed config keys
       const allowed = [
         'donotickBaseUrl', 'donotickWebUrl', 'donotickUsername', 'donotickPassword', 'donotickToken',
-        'printerIp', 'printerPort',
+        'printerIp', 'printerPort', 'printerProfile', 'printerRoutes',
         'dailyPrintTime', 'weeklyPrintTime', 'weeklyPrintDay',
         'trashIcalUrl', 'trashEnable',
         'wifiSsid', 'wifiPassword', 'wifiType', 'wifiHidden',
         'googleClientId', 'googleClientSecret', 'googleCalendarId',
+        'printDailyBriefing', 'taskCompletionMode', 'eveningCheck', 'eveningPrintTime', 'morningGrouping',
         'ollamaEnabled', 'ollamaUrl', 'ollamaModel', 'aiDailySummary', 'aiWeeklySummary',
+        'virtualPrinterEnabled', 'virtualPrinterPort', 'publicBaseUrl',
+        'ticketImages', 'labelIcons', 'shoppingSections', 'shoppingStoreId',
         'logLevel', 'devMode'
       ];
       
@@ -490,6 +1212,10 @@ async function handleApi(req, res) {
       if (Object.keys(updates).length > 0) {
         config.setMultiple(updates);
         log('info', `Config updated: ${Object.keys(updates).join(', ')}`);
+        if ('virtualPrinterEnabled' in updates || 'virtualPrinterPort' in updates) {
+          config.reload();
+          await syncVirtualPrinter();
+        }
       }
       
       sendJson(res, 200, { status: 'updated', keys: Object.keys(updates) });
@@ -588,7 +1314,7 @@ async function handleApi(req, res) {
   if (pathname === '/api/shopping/items' && req.method === 'GET') {
     const query = parsed.query.q || '';
     const items = query ? db.searchShoppingItems(query) : db.getShoppingItems();
-    sendJson(res, 200, { items, units: db.UNIT_TYPES });
+    sendJson(res, 200, { items, units: db.UNIT_TYPES, sections: config.shoppingSections || [] });
     return true;
   }
 
@@ -606,7 +1332,11 @@ async function handleApi(req, res) {
         sendJson(res, 200, { item: existing, existed: true });
         return true;
       }
-      const item = db.addShoppingItem(body.name, body.unit || 'st');
+      if (body.barcode && !barcodeType(body.barcode)) {
+        sendJson(res, 400, { error: 'Invalid barcode (EAN-13 or up to 40 ASCII characters)' });
+        return true;
+      }
+      const item = db.addShoppingItem(body.name, body.unit || 'st', body.barcode);
       sendJson(res, 200, { item, created: true });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
@@ -619,6 +1349,31 @@ async function handleApi(req, res) {
     try {
       const id = pathname.split('/')[4];
       const body = await readBody(req);
+      for (const key of ['unit', 'displayUnit']) {
+        if (body[key] && !db.UNIT_TYPES[body[key]]) {
+          sendJson(res, 400, { error: `Unknown unit: ${body[key]}` });
+          return true;
+        }
+      }
+      if (typeof body.barcode === 'string') {
+        body.barcode = body.barcode.trim();
+        if (body.barcode && !barcodeType(body.barcode)) {
+          sendJson(res, 400, { error: 'Invalid barcode (EAN-13 or up to 40 ASCII characters)' });
+          return true;
+        }
+      }
+      for (const key of ['stock', 'minStock']) {
+        if (body[key] === undefined) continue;
+        body[key] = Number(body[key]);
+        if (!(body[key] >= 0)) {
+          sendJson(res, 400, { error: `${key} must be a number >= 0` });
+          return true;
+        }
+      }
+      if (body.expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(body.expiresAt)) {
+        sendJson(res, 400, { error: 'expiresAt must be YYYY-MM-DD' });
+        return true;
+      }
       const item = db.updateShoppingItem(id, body);
       if (!item) {
         sendJson(res, 404, { error: 'Item not found' });
@@ -639,6 +1394,32 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // Print shelf label(s) for an item: { copies?, printerId? }
+  if (pathname.match(/^\/api\/shopping\/items\/[^/]+\/label$/) && req.method === 'POST') {
+    try {
+      const id = pathname.split('/')[4];
+      const body = await readBody(req);
+      const item = db.getShoppingItems().find(i => i.id === id);
+      if (!item) {
+        sendJson(res, 404, { error: 'Item not found' });
+        return true;
+      }
+      const copies = Math.min(20, Math.max(1, parseInt(body.copies, 10) || 1));
+      const printer = targetPrinter('label', body);
+      const job = printQueue.enqueue({
+        type: 'label',
+        label: `Etikett: ${item.name}`,
+        printer,
+        payload: shelfLabelPayload(item, printer, copies)
+      });
+      sendJson(res, 200, { status: 'queued', jobId: job.id, copies });
+    } catch (err) {
+      log('error', 'Label print failed', err.message);
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
   // Get current shopping list
   if (pathname === '/api/shopping/list' && req.method === 'GET') {
     sendJson(res, 200, { list: db.getShoppingList() });
@@ -653,7 +1434,11 @@ async function handleApi(req, res) {
         sendJson(res, 400, { error: 'itemId or collectionId is required' });
         return true;
       }
-      const list = db.addToShoppingList(body.itemId, body.quantity || 1, body.collectionId);
+      if (body.unit && !db.UNIT_TYPES[body.unit]) {
+        sendJson(res, 400, { error: `Unknown unit: ${body.unit}` });
+        return true;
+      }
+      const list = db.addToShoppingList(body.itemId, body.quantity || 1, body.collectionId, body.unit || null);
       sendJson(res, 200, { list });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
@@ -666,7 +1451,11 @@ async function handleApi(req, res) {
     try {
       const id = pathname.split('/')[4];
       const body = await readBody(req);
-      const list = db.updateShoppingListQuantity(id, body.quantity);
+      if (body.unit && !db.UNIT_TYPES[body.unit]) {
+        sendJson(res, 400, { error: `Unknown unit: ${body.unit}` });
+        return true;
+      }
+      const list = db.updateShoppingListQuantity(id, body.quantity, body.unit || null);
       sendJson(res, 200, { list });
     } catch (err) {
       sendJson(res, 500, { error: err.message });
@@ -682,6 +1471,76 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // Check off an entry in the store: { checked? } (omitted = toggle)
+  if (pathname.match(/^\/api\/shopping\/list\/[^/]+\/check$/) && req.method === 'POST') {
+    try {
+      const id = pathname.split('/')[4];
+      const body = await readBody(req);
+      const list = db.checkShoppingListEntry(id, body.checked);
+      if (!list) {
+        sendJson(res, 404, { error: 'Entry not found' });
+        return true;
+      }
+      sendJson(res, 200, { list });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // Finish shopping: remove checked entries and record the trip: { storeId? }
+  if (pathname === '/api/shopping/finish' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      const store = shoppingStore(body.storeId);
+      const finished = db.finishShopping(store ? store.id : null);
+      if (!finished) {
+        sendJson(res, 400, { error: 'Nothing checked' });
+        return true;
+      }
+      const { trip, notStocked } = finished;
+      log('info', `Shopping trip finished: ${trip.items.length} items${trip.storeName ? ` at ${trip.storeName}` : ''}`);
+      if (notStocked.length) {
+        const items = notStocked.map((e) => `${e.name} (${e.quantity} ${e.unit})`).join(', ');
+        log('warn', `Stock not updated, unit doesn't fit the item: ${items}`);
+      }
+      sendJson(res, 200, { trip, notStocked, list: db.getShoppingList() });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // Items that are probably running out (from purchase intervals)
+  if (pathname === '/api/shopping/suggestions' && req.method === 'GET') {
+    const limit = parseInt(parsed.query.limit, 10) || 10;
+    sendJson(res, 200, { suggestions: db.getShoppingSuggestions(limit) });
+    return true;
+  }
+
+  // Finished shopping trips, newest first (?limit=)
+  if (pathname === '/api/shopping/history' && req.method === 'GET') {
+    const limit = parseInt(parsed.query.limit, 10) || 50;
+    sendJson(res, 200, { trips: db.getShoppingTrips(limit) });
+    return true;
+  }
+
+  // Purchase statistics per item (count, total quantity, average interval)
+  if (pathname === '/api/shopping/history/stats' && req.method === 'GET') {
+    sendJson(res, 200, db.getShoppingStats());
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/shopping\/history\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[4];
+    if (!db.deleteShoppingTrip(id)) {
+      sendJson(res, 404, { error: 'Trip not found' });
+      return true;
+    }
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
   // Reset shopping list (clear and re-add "always" items)
   if (pathname === '/api/shopping/list/reset' && req.method === 'POST') {
     const list = db.resetShoppingList();
@@ -748,6 +1607,51 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // ============ Stores (walking order per supermarket) ============
+
+  if (pathname === '/api/shopping/stores' && req.method === 'GET') {
+    sendJson(res, 200, { stores: db.getStores(), current: config.shoppingStoreId || '' });
+    return true;
+  }
+
+  if (pathname === '/api/shopping/stores' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (!body.name || !String(body.name).trim()) {
+        sendJson(res, 400, { error: 'name is required' });
+        return true;
+      }
+      const store = db.createStore(String(body.name), Array.isArray(body.sections) ? body.sections : null);
+      sendJson(res, 200, { store });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/shopping\/stores\/[^/]+$/) && req.method === 'PATCH') {
+    try {
+      const id = pathname.split('/')[4];
+      const body = await readBody(req);
+      const store = db.updateStore(id, body);
+      if (!store) {
+        sendJson(res, 404, { error: 'Store not found' });
+        return true;
+      }
+      sendJson(res, 200, { store });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/shopping\/stores\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[4];
+    db.deleteStore(id);
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
   // Apply collection to shopping list
   if (pathname.match(/^\/api\/shopping\/collections\/[^/]+\/apply$/) && req.method === 'POST') {
     const id = pathname.split('/')[4];
@@ -780,26 +1684,18 @@ async function handleApi(req, res) {
   if (pathname === '/api/shopping/print' && req.method === 'POST') {
     try {
       const body = await readBody(req);
+      const store = shoppingStore(body.storeId);
       // Use resolved list that expands collections to their items
-      const list = db.getShoppingListResolved();
+      const list = db.getShoppingListResolved(store ? store.id : null);
       if (!list.length) {
         sendJson(res, 200, { status: 'empty' });
         return true;
       }
-      const printerHost = body.printerIp || config.printerIp;
-      // Format items for printing
-      const items = list.map(entry => ({
-        title: `${db.formatQuantity(entry.quantity, entry.item.unit)} ${entry.item.name}`,
-        labels: []
+      const printer = targetPrinter('shopping', body);
+      const job = queuePrint('shopping', printer, 'Einkaufsliste', shoppingTicketParams(list, {
+        barcodes: !!body.barcodes, store, suggestions: !!body.suggestions
       }));
-      await printTasks({
-        host: printerHost,
-        port: body.printerPort || config.printerPort,
-        tasks: items,
-        mode: 'daily',
-        headerTitle: 'EINKAUFSLISTE'
-      });
-      sendJson(res, 200, { status: 'printed', count: list.length });
+      sendJson(res, 200, { status: 'queued', jobId: job.id, count: list.length });
     } catch (err) {
       log('error', 'Shopping list print failed', err.message);
       sendJson(res, 500, { error: err.message });
@@ -807,9 +1703,260 @@ async function handleApi(req, res) {
     return true;
   }
 
+  // ============ Pantry API ============
+
+  // Stock at home: tracked items and what expires today/tomorrow
+  if (pathname === '/api/pantry' && req.method === 'GET') {
+    sendJson(res, 200, { items: db.getPantry(), expiring: db.getExpiringItems(1) });
+    return true;
+  }
+
+  // Take from / add to stock: { quantity, unit?, expiresAt? (add only) }
+  if (pathname.match(/^\/api\/pantry\/[^/]+\/(use|add)$/) && req.method === 'POST') {
+    try {
+      const [, , , id, action] = pathname.split('/');
+      const body = await readBody(req);
+      const quantity = Number(body.quantity ?? 1);
+      if (!(quantity > 0)) {
+        sendJson(res, 400, { error: 'quantity must be a positive number' });
+        return true;
+      }
+      const item = db.getShoppingItems().find(i => i.id === id);
+      if (!item) {
+        sendJson(res, 404, { error: 'Item not found' });
+        return true;
+      }
+      if (body.unit && db.convertQuantity(1, body.unit, item.unit) === null) {
+        sendJson(res, 400, { error: `Unit ${body.unit} does not fit ${item.unit}` });
+        return true;
+      }
+      if (body.expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(body.expiresAt)) {
+        sendJson(res, 400, { error: 'expiresAt must be YYYY-MM-DD' });
+        return true;
+      }
+      const delta = action === 'use' ? -quantity : quantity;
+      const result = db.changeStock(id, delta, body.unit || null, body.expiresAt || '');
+      if (result.restocked) log('info', `Low stock, added to shopping list: ${item.name}`);
+      sendJson(res, 200, result);
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // ============ Meal Plan API ============
+
+  // Planned meals (?from=&to= as YYYY-MM-DD, inclusive)
+  if (pathname === '/api/meals' && req.method === 'GET') {
+    sendJson(res, 200, {
+      meals: db.getMeals(parsed.query.from, parsed.query.to),
+      slots: db.MEAL_SLOTS
+    });
+    return true;
+  }
+
+  // Plan a meal: { date, slot, recipeId | text, servings? } (empty clears the slot)
+  if (pathname === '/api/meals' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(body.date || '')) {
+        sendJson(res, 400, { error: 'date must be YYYY-MM-DD' });
+        return true;
+      }
+      if (!db.MEAL_SLOTS[body.slot]) {
+        sendJson(res, 400, { error: `Unknown slot: ${body.slot}` });
+        return true;
+      }
+      if (body.recipeId && !db.getRecipe(body.recipeId)) {
+        sendJson(res, 404, { error: 'Recipe not found' });
+        return true;
+      }
+      const meal = db.setMeal(body.date, body.slot, body);
+      sendJson(res, 200, { meal });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // Shopping list from the meal plan: { from, to }
+  if (pathname === '/api/meals/shopping' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      // Without a range every meal ever planned would end up on the list
+      const isDay = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d);
+      if (!isDay(body.from) || !isDay(body.to) || body.from > body.to) {
+        sendJson(res, 400, { error: 'from and to must be YYYY-MM-DD with from <= to' });
+        return true;
+      }
+      const result = db.addMealPlanToShoppingList(body.from, body.to);
+      log('info', `Meal plan added to shopping list: ${result.items} items from ${result.meals} meals`);
+      sendJson(res, 200, { ...result, list: db.getShoppingList() });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/meals\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[3];
+    db.deleteMeal(id);
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
+  // ============ Recipes API ============
+
+  if (pathname === '/api/recipes' && req.method === 'GET') {
+    sendJson(res, 200, { recipes: db.getRecipes() });
+    return true;
+  }
+
+  // Single recipe with ingredient details (?servings= scales the quantities)
+  if (pathname.match(/^\/api\/recipes\/[^/]+$/) && req.method === 'GET') {
+    const id = pathname.split('/')[3];
+    const recipe = db.getRecipe(id, Number(parsed.query.servings) || null);
+    if (!recipe) {
+      sendJson(res, 404, { error: 'Recipe not found' });
+      return true;
+    }
+    sendJson(res, 200, { recipe });
+    return true;
+  }
+
+  if (pathname === '/api/recipes' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      if (!body.name || !String(body.name).trim()) {
+        sendJson(res, 400, { error: 'name is required' });
+        return true;
+      }
+      const error = recipeError(body);
+      if (error) {
+        sendJson(res, 400, { error });
+        return true;
+      }
+      const recipe = db.createRecipe(body);
+      sendJson(res, 200, { recipe });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/recipes\/[^/]+$/) && req.method === 'PATCH') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      const error = recipeError(body);
+      if (error) {
+        sendJson(res, 400, { error });
+        return true;
+      }
+      const recipe = db.updateRecipe(id, body);
+      if (!recipe) {
+        sendJson(res, 404, { error: 'Recipe not found' });
+        return true;
+      }
+      sendJson(res, 200, { recipe });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  if (pathname.match(/^\/api\/recipes\/[^/]+$/) && req.method === 'DELETE') {
+    const id = pathname.split('/')[3];
+    db.deleteRecipe(id);
+    sendJson(res, 200, { status: 'deleted' });
+    return true;
+  }
+
+  // Put the ingredients for N servings on the shopping list: { servings? }
+  if (pathname.match(/^\/api\/recipes\/[^/]+\/shopping$/) && req.method === 'POST') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      const list = db.addRecipeToShoppingList(id, Number(body.servings) || null);
+      if (!list) {
+        sendJson(res, 404, { error: 'Recipe not found' });
+        return true;
+      }
+      sendJson(res, 200, { list });
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
+  // Print the recipe card: { servings?, printerId? }
+  if (pathname.match(/^\/api\/recipes\/[^/]+\/print$/) && req.method === 'POST') {
+    try {
+      const id = pathname.split('/')[3];
+      const body = await readBody(req);
+      const printer = targetPrinter('recipe', body);
+      const payload = recipePayload(id, printer, Number(body.servings) || null);
+      if (!payload) {
+        sendJson(res, 404, { error: 'Recipe not found' });
+        return true;
+      }
+      const job = printQueue.enqueue({ type: 'recipe', label: `Rezept: ${db.getRecipe(id).name}`, printer, payload });
+      sendJson(res, 200, { status: 'queued', jobId: job.id });
+    } catch (err) {
+      log('error', 'Recipe print failed', err.message);
+      sendJson(res, 500, { error: err.message });
+    }
+    return true;
+  }
+
   return false;
 }
 
+/**
+ * Scan-to-complete page of a printed task ticket (/t/<token>).
+ * GET shows the task with a confirm button, POST completes it in Donotick.
+ */
+async function handleTaskLink(req, res) {
+  const token = (url.parse(req.url).pathname || '').slice('/t/'.length);
+  const sendPage = (code, pageState, title) => {
+    res.writeHead(code, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(renderTaskPage(pageState, title));
+  };
+
+  const { link, error } = verifyTaskToken(token);
+  if (error === 'invalid') return sendPage(404, 'invalid');
+  if (error === 'used') return sendPage(200, 'used', link.title);
+  if (req.method !== 'POST') return sendPage(200, 'confirm', link.title);
+
+  // Claim the link before calling Donotick, so a double tap can't complete
+  // a recurring chore twice
+  // The ticket is for one occurrence; if that is over, don't complete the next one
+  let chore;
+  try {
+    chore = (await listAllChores()).find((t) => t.id === link.taskId);
+  } catch (err) {
+    log('error', 'Checking task for ticket QR failed', err.message);
+    return sendPage(502, 'failed', link.title);
+  }
+  if (isLinkOutdated(link, chore)) {
+    db.claimTaskLink(link.id, 'donotick');
+    return sendPage(200, 'used', link.title);
+  }
+
+  if (!db.claimTaskLink(link.id, 'qr')) return sendPage(200, 'used', link.title);
+  try {
+    await completeTask(link.taskId);
+    db.closeTaskLinks(link.taskId, 'qr');
+    db.markMorningTaskDone(link.taskId, 'qr');
+    log('info', `Task completed via ticket QR: ${link.title}`);
+    sendPage(200, 'done', link.title);
+  } catch (err) {
+    db.reopenTaskLink(link.id);
+    log('error', 'Completing task via ticket QR failed', err.message);
+    sendPage(502, 'failed', link.title);
+  }
+}
+
 function serveStatic(req, res) {
   const parsed = url.parse(req.url);
   let pathname = parsed.pathname;
@@ -869,24 +2016,38 @@ function serveStatic(req, res) {
 
 /**
  * Morning automatic print:
- * - Prints each task individually (with QR code)
- * - Marks them as done in Donotick
+ * - Prints the Tagesbriefing (agenda, AI summary, task list) if enabled
+ * - Prints each task individually (with QR code), only for the members
+ *   selected for the morning run, optionally bundled per member (morningBundles)
+ * - taskCompletionMode 'auto': marks them as done in Donotick (and their
+ *   ticket QR links as used); 'track': leaves them open for the dashboard,
+ *   the ticket QR and the evening check
  * - Records them in dailyState so the daily summary button can include them
  * - On Monday: also prints the weekly summary
+ *
+ * options.dryRun (manual test runs, e.g. against the virtual printer):
+ * prints everything but leaves Donotick, trash and daily state untouched.
  */
-async function runMorningPrint() {
+async function runMorningPrint({ dryRun = false } = {}) {
   // Skip auto-print in dev mode
-  if (config.devMode) {
+  if (config.devMode && !dryRun) {
     log('info', 'Dev mode: Skipping morning auto-print');
     return;
   }
   
   try {
-    const { tasks, trashData } = await gatherTasks('today');
+    const [{ tasks: dueTasks, trashData }, events] = await Promise.all([
+      gatherTasks('today'),
+      gatherEvents('today').catch(() => [])
+    ]);
+    const bundles = morningBundles(dueTasks);
+    const tasks = bundles.flatMap((b) => b.tasks);
     const now = new Date();
     const isMonday = now.getDay() === 1;
+    const expiring = gatherExpiring();
+    const printBriefing = config.printDailyBriefing && (tasks.length > 0 || events.length > 0 || expiring.length > 0);
     
-    if (!tasks.length && !isMonday) {
+    if (!tasks.length && !printBriefing && !isMonday) {
       state.lastRunAt = new Date().toISOString();
       state.lastRunResult = 'No tasks to print';
       state.lastRunError = null;
@@ -895,50 +2056,82 @@ async function runMorningPrint() {
     }
     
     // Record tasks BEFORE marking them done (so we remember them)
-    if (tasks.length) {
+    if (tasks.length && !dryRun) {
       db.recordMorningTasks(tasks);
     }
     
-    // Print each task individually (hype mode with QR code)
-    for (const task of tasks) {
-      await printTasks({
-        host: config.printerIp,
-        port: config.printerPort,
-        tasks: [task],
-        mode: 'single'
+    // Tagesbriefing first: agenda + optional AI summary + task list
+    if (printBriefing) {
+      const cfg = config.getAll();
+      const printer = db.resolvePrinter('daily');
+      const paperWidth = getPrinterProfile(printer.profile).paperWidth;
+      const summary = cfg.aiDailySummary ? await generateDailySummary(cfg, events, tasks, paperWidth) : null;
+      queuePrint('daily', printer, 'Tagesbriefing', {
+        tasks,
+        mode: 'briefing',
+        events,
+        expiring,
+        summary
       });
     }
     
-    // Mark Donotick tasks as done (only numeric IDs from Donotick, not trash UIDs)
+    // Print each task individually (hype mode with QR code), a bundle per member
+    // with a name banner first if grouped
+    const singlePrinter = db.resolvePrinter('morning');
+    for (const bundle of bundles) {
+      if (bundle.name) {
+        printQueue.enqueue({
+          type: 'morning',
+          label: `Aufgaben für ${bundle.name}`,
+          printer: singlePrinter,
+          payload: buildMemberBannerTicket(bundle.name, bundle.tasks.length, { profile: getPrinterProfile(singlePrinter.profile) })
+        });
+      }
+      for (const task of bundle.tasks) {
+        queuePrint('morning', singlePrinter, `Aufgabe: ${task.title}`, singleTaskParams(task));
+      }
+    }
+    
+    // Auto mode: mark Donotick tasks as done (only numeric IDs from Donotick, not trash UIDs)
     const donotickIds = tasks
       .filter((t) => /^\d+$/.test(String(t.id)))
       .map((t) => t.id);
     
-    if (donotickIds.length) {
-      await Promise.allSettled(donotickIds.map((id) => completeTask(id)));
+    if (donotickIds.length && !dryRun && config.taskCompletionMode !== 'track') {
+      const results = await Promise.allSettled(donotickIds.map((id) => completeTask(id)));
+      // Already done, so the QR codes on the tickets just printed say so
+      donotickIds.forEach((id, i) => {
+        if (results[i].status !== 'fulfilled') return;
+        db.closeTaskLinks(id, 'auto');
+        db.markMorningTaskDone(id, 'auto');
+      });
     }
     
     // Mark trash tasks as printed
-    markPrinted((trashData.tasks || []).map((t) => t.uid));
+    if (!dryRun) {
+      markPrinted((trashData.tasks || []).map((t) => t.uid));
+    }
     
     // On Monday: also print the weekly summary
     if (isMonday) {
-      const { tasks: weekTasks } = await gatherTasks('week');
-      if (weekTasks.length) {
-        const weekWin = formatWeekWindowDe(getWeekWindow());
-        await printTasks({
-          host: config.printerIp,
-          port: config.printerPort,
-          tasks: weekTasks,
+      const weekPrinter = db.resolvePrinter('weekly');
+      const week = await gatherWeek(getPrinterProfile(weekPrinter.profile).paperWidth);
+      if (week.tasks.length || week.events.length || Object.keys(week.dinners).length) {
+        queuePrint('weekly', weekPrinter, 'Wochenübersicht', {
+          tasks: week.tasks,
           mode: 'weekly',
-          weekRange: weekWin
+          weekRange: formatWeekWindowDe(week.window),
+          events: week.events,
+          dinners: week.dinners,
+          summary: week.summary
         });
-        log('info', `Printed weekly summary with ${weekTasks.length} tasks`);
+        log('info', `Queued weekly summary with ${week.tasks.length} tasks and ${week.events.length} events`);
       }
     }
     
     state.lastRunAt = new Date().toISOString();
-    state.lastRunResult = `Printed ${tasks.length} tasks${isMonday ? ' + weekly summary' : ''}`;
+    const skipped = dueTasks.length - tasks.length;
+    state.lastRunResult = `Queued ${tasks.length} tasks${skipped ? ` (${skipped} of unselected members skipped)` : ''}${printBriefing ? ' + briefing' : ''}${isMonday ? ' + weekly summary' : ''}`;
     state.lastRunError = null;
     log('info', state.lastRunResult);
   } catch (err) {
@@ -948,6 +2141,40 @@ async function runMorningPrint() {
   }
 }
 
+/**
+ * Evening check (taskCompletionMode 'track'):
+ * - Finds the tasks printed this morning that are still open
+ * - eveningCheck 'report': prints them on one "Noch offen" ticket
+ * - eveningCheck 'reprint': prints their task tickets again
+ */
+async function runEveningCheck() {
+  if (config.devMode) {
+    log('info', 'Dev mode: Skipping evening check');
+    return;
+  }
+  if (config.taskCompletionMode !== 'track' || config.eveningCheck === 'off') return;
+
+  try {
+    const open = await gatherOpenTasks();
+    if (!open.length) {
+      log('info', 'Evening check: all printed tasks are done');
+      return;
+    }
+
+    if (config.eveningCheck === 'reprint') {
+      const printer = db.resolvePrinter('morning');
+      for (const task of open) {
+        queuePrint('morning', printer, `Noch offen: ${task.title}`, singleTaskParams(task));
+      }
+    } else {
+      queuePrint('evening', db.resolvePrinter('evening'), 'Abendbericht', { tasks: open, mode: 'evening' });
+    }
+    log('info', `Evening check: ${open.length} printed tasks still open`, open.map((t) => t.title).join(', '));
+  } catch (err) {
+    log('error', 'Evening check failed', err.message);
+  }
+}
+
 /**
  * Sunday automatic print:
  * - Prints the weekly summary for NEXT week
@@ -960,22 +2187,23 @@ async function runSundayWeeklyPrint() {
   
   try {
     // On Sunday, getWeekWindow() returns next week (Monday-Sunday)
-    const { tasks } = await gatherTasks('week');
-    if (!tasks.length) {
+    const printer = db.resolvePrinter('weekly');
+    const { tasks, events, dinners, summary, window: win } = await gatherWeek(getPrinterProfile(printer.profile).paperWidth);
+    if (!tasks.length && !events.length && !Object.keys(dinners).length) {
       log('info', 'No tasks for next week');
       return;
     }
     
-    const weekWin = formatWeekWindowDe(getWeekWindow());
-    await printTasks({
-      host: config.printerIp,
-      port: config.printerPort,
+    queuePrint('weekly', printer, 'Wochenübersicht (nächste Woche)', {
       tasks,
       mode: 'weekly',
-      weekRange: `Nächste Woche: ${weekWin}`
+      weekRange: `Nächste Woche: ${formatWeekWindowDe(win)}`,
+      events,
+      dinners,
+      summary
     });
     
-    log('info', `Sunday: Printed next week summary with ${tasks.length} tasks`);
+    log('info', `Sunday: Queued next week summary with ${tasks.length} tasks and ${events.length} events`);
   } catch (err) {
     log('error', 'Sunday weekly print failed', err.message);
   }
@@ -990,6 +2218,10 @@ function startServer() {
       }
       return;
     }
+    if (req.url && req.url.startsWith('/t/')) {
+      await handleTaskLink(req, res);
+      return;
+    }
     serveStatic(req, res);
   });
 
@@ -1005,6 +2237,17 @@ function startServer() {
 
 startServer();
 
+// Convert ticket images (icons, logos) to printer rasters
+loadImages(log)
+  .then((count) => log('info', `Loaded ${count} ticket images`))
+  .catch((err) => log('error', 'Loading ticket images failed', err.message));
+
+// Send queued print jobs (and resume jobs left over from before a restart)
+printQueue.startQueue(log);
+
+// Fake printer for testing without hardware (virtualPrinterEnabled)
+syncVirtualPrinter();
+
 // Morning print: runs every day at configured time
 // Prints individual tasks + weekly summary on Monday
 createDailyRunner(runMorningPrint, config.dailyPrintTime);
@@ -1016,6 +2259,9 @@ createDailyRunner(
   (now) => now.getDay() === 0 // Only on Sunday
 );
 
+// Evening check: reports or reprints printed tasks still open (track mode only)
+createDailyRunner(runEveningCheck, config.eveningPrintTime);
+
 // Hourly trash sync
 setInterval(() => {
   syncTrashToDonotick().catch((err) => log('error', 'Trash sync failed', err.message));
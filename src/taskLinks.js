@@ -0,0 +1,138 @@
+/**
+ * Scan-to-complete links for printed task tickets.
+ *
+ * The QR code on a single task ticket points at <publicBaseUrl>/t/<token>
+ * with token = "<taskId>.<linkId>.<signature>". Every printed ticket gets its
+ * own link record in the db, which can complete the task once. The signature
+ * (HMAC-SHA256 with config.ticketSecret) makes sure nobody can make up links,
+ * so only printed tickets can complete tasks.
+ */
+const crypto = require('crypto');
+const config = require('./config');
+const db = require('./db');
+
+// Only Donotick chores can be completed (trash reminders have iCal UIDs)
+function isCompletable(task) {
+  return /^\d+$/.test(String(task.id));
+}
+
+// Signing secret, created on first use
+function getSecret() {
+  if (!config.ticketSecret) {
+    config.set('ticketSecret', crypto.randomBytes(32).toString('hex'));
+  }
+  return config.ticketSecret;
+}
+
+// 96 bits of the HMAC are plenty and keep the QR code small
+function sign(taskId, linkId) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${taskId}.${linkId}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+function publicBaseUrl() {
+  return String(config.publicBaseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Create the QR link for a ticket about to be printed.
+ * options.preview: same URL shape for the preview, but nothing is recorded
+ * (the link won't work, only printed tickets can complete tasks).
+ * @returns {string|null} null if publicBaseUrl is not set or the task can't be completed
+ */
+function createTaskLink(task, { preview = false } = {}) {
+  const base = publicBaseUrl();
+  if (!base || !isCompletable(task)) return null;
+  const linkId = preview ? 'preview' : db.addTaskLink(task.id, task.title || '', task.due || null).id;
+  return `${base}/t/${task.id}.${linkId}.${sign(task.id, linkId)}`;
+}
+
+/**
+ * Check the token of a scanned ticket.
+ * @returns {{ link: Object|null, error: string|null }} error: 'invalid' | 'used'
+ */
+function verifyTaskToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts.some((p) => !p)) return { link: null, error: 'invalid' };
+  const [taskId, linkId, signature] = parts;
+  const expected = Buffer.from(sign(taskId, linkId));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { link: null, error: 'invalid' };
+  }
+  // Unknown link: never printed here or older than TASK_LINK_MAX_AGE_DAYS
+  const link = db.getTaskLink(linkId);
+  if (!link || link.taskId !== taskId) return { link: null, error: 'invalid' };
+  if (link.usedAt) return { link, error: 'used' };
+  return { link, error: null };
+}
+
+/**
+ * Whether the printed occurrence is over: the chore is gone or its due date
+ * moved on (done or skipped in Donotick itself), so completing it now would
+ * complete the next occurrence.
+ * @param {Object} link - From verifyTaskToken
+ * @param {Object|undefined} chore - The chore as it is now (normalized, with due)
+ */
+function isLinkOutdated(link, chore) {
+  if (!chore || chore.completed) return true;
+  if (!link.due) return false; // Printed without a due date, nothing to compare
+  return new Date(chore.due).getTime() !== new Date(link.due).getTime();
+}
+
+function escapeHtml(str) {
+  return String(str || '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+const PAGE_TEXTS = {
+  confirm: { heading: 'Aufgabe erledigt?', text: '' },
+  done: { heading: 'Erledigt!', text: 'Die Aufgabe ist in Donotick abgehakt.' },
+  used: { heading: 'Schon erledigt', text: 'Dieser Zettel wurde bereits verwendet.' },
+  invalid: { heading: 'Ungültiger Code', text: 'Dieser QR-Code gehört zu keinem gedruckten Zettel.' },
+  failed: { heading: 'Das hat nicht geklappt', text: 'Donotick ist gerade nicht erreichbar. Bitte später noch einmal scannen.' }
+};
+
+/**
+ * Small standalone page for phones (the Vue app is not loaded for /t/ links).
+ * @param {string} state - 'confirm' | 'done' | 'used' | 'invalid' | 'failed'
+ */
+function renderTaskPage(state, title = '') {
+  const { heading, text } = PAGE_TEXTS[state] || PAGE_TEXTS.invalid;
+  const button = state === 'confirm'
+    ? '<form method="post"><button type="submit">Als erledigt markieren</button></form>'
+    : '';
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #0a0a0a; color: #fafafa; margin: 0;
+    min-height: 100vh; display: flex; align-items: center; justify-content: center; text-align: center; }
+  main { padding: 2rem 1.5rem; max-width: 24rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 1rem; }
+  .task { font-size: 1.25rem; font-weight: 600; color: #fafafa; margin: 0 0 1.5rem; }
+  p { color: #a1a1aa; }
+  button { font-size: 1.125rem; padding: 1rem 1.5rem; width: 100%; border: 0; border-radius: 0.5rem;
+    background: #fafafa; color: #0a0a0a; font-weight: 600; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(heading)}</h1>
+${title ? `<p class="task">${escapeHtml(title)}</p>` : ''}
+${text ? `<p>${escapeHtml(text)}</p>` : ''}
+${button}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { createTaskLink, verifyTaskToken, isLinkOutdated, renderTaskPage };
@@ -0,0 +1,106 @@
+/**
+ * Virtual ESC/POS printer for development and tests.
+ * Listens on a local TCP port like a real printer (port 9100 protocol),
+ * answers DLE EOT status queries with "ready" and stores every received
+ * ticket (raw bytes + plain text rendering) in the db.
+ */
+
+const net = require('net');
+const config = require('./config');
+const db = require('./db');
+const { getPrinterProfile } = require('./printer');
+const { renderPlainText } = require('./preview');
+
+const DLE = 0x10;
+const EOT = 0x04;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Status byte for "online, cover closed, no error, paper present" (fixed bits only)
+const STATUS_READY = 0x12;
+
+let server = null;
+let listeningPort = null;
+
+// Paper width of the printer entry pointing at this listener (default profile otherwise)
+function paperWidthFor(port) {
+  const printers = [db.getDefaultPrinter(), ...db.getPrinters()];
+  const entry = printers.find(p => Number(p.port) === port && LOCAL_HOSTS.includes(p.host));
+  return getPrinterProfile(entry ? entry.profile : undefined).paperWidth;
+}
+
+// A connection that only asked for status (e.g. the print queue's pre-check)
+function isStatusOnly(bytes) {
+  if (bytes.length % 3 !== 0) return false;
+  for (let i = 0; i < bytes.length; i += 3) {
+    if (bytes[i] !== DLE || bytes[i + 1] !== EOT) return false;
+  }
+  return true;
+}
+
+function handleConnection(socket, port, log, save) {
+  const chunks = [];
+  let scanned = 0;
+  let received = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    chunks.push(chunk);
+    received = Buffer.concat(chunks);
+    // Answer real-time status requests as they arrive
+    for (; scanned + 2 < received.length; scanned++) {
+      if (received[scanned] === DLE && received[scanned + 1] === EOT && received[scanned + 2] >= 1 && received[scanned + 2] <= 4) {
+        socket.write(Buffer.from([STATUS_READY]));
+        scanned += 2;
+      }
+    }
+  });
+
+  socket.on('end', () => socket.end());
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    if (!received.length || isStatusOnly(received)) return;
+    const paperWidth = paperWidthFor(port);
+    const text = renderPlainText(received, { paperWidth });
+    const job = save({
+      remote: socket.remoteAddress,
+      bytes: received,
+      paperWidth,
+      text
+    });
+    log('info', `Virtual printer received ${job.size} bytes`, { id: job.id });
+  });
+}
+
+/**
+ * Start listening (no-op if already running on that port).
+ * @param {Object} options - { port, log: (level, msg, extra) => void,
+ *   save: ({ remote, bytes, paperWidth, text }) => job (default: store in the db) }
+ * @returns {Promise<number>} The port
+ */
+function startVirtualPrinter({ port = config.virtualPrinterPort, log = () => {}, save = db.addVirtualPrintJob } = {}) {
+  port = Number(port) || 9101;
+  if (server && listeningPort === port) return Promise.resolve(port);
+  return stopVirtualPrinter().then(() => new Promise((resolve, reject) => {
+    const srv = net.createServer((socket) => handleConnection(socket, port, log, save));
+    srv.once('error', reject);
+    srv.listen(port, () => {
+      server = srv;
+      listeningPort = port;
+      log('info', `Virtual printer listening on port ${port}`);
+      resolve(port);
+    });
+  }));
+}
+
+function stopVirtualPrinter() {
+  if (!server) return Promise.resolve();
+  const srv = server;
+  server = null;
+  listeningPort = null;
+  return new Promise((resolve) => srv.close(() => resolve()));
+}
+
+function getVirtualPrinterState() {
+  return { running: !!server, port: listeningPort };
+}
+
+module.exports = { startVirtualPrinter, stopVirtualPrinter, getVirtualPrinterState };